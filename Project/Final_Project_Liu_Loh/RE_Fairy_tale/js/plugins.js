@@ -21,6 +21,9 @@ var $plugins =
 {"name":"EnemyBook","status":true,"description":"Displays detailed statuses of enemies.","parameters":{"Unknown Data":"??????"}},
 {"name":"YEP_VictoryAftermath","status":true,"description":"v1.07 Display an informative window after a battle is over\ninstead of message box text stating what the party earned.","parameters":{"---General---":"","Victory Order":"exp custom drops","---BGM---":"","Victory BGM":"Ship3","BGM Volume":"90","BGM Pitch":"100","BGM Pan":"0","---Battle Results---":"","Cheer Wait":"90","Battle Results Text":"Battle Results","Battle Drops Text":"Loots","---EXP Window---":"","Font Size":"28","Level Up Text":"LEVEL UP!","Max Level Text":"MAX LEVEL","Show Skills Learned":"true","Gained EXP Text":"Gained EXP","Gained EXP Format":"+%1","EXP Gauge Color 1":"30","EXP Gauge Color 2":"31","Level Gauge Color 1":"14","Level Gauge Color 2":"6","Gauge Ticks":"15","Tick SE":"Absorb2","Tick Volume":"90","Tick Pitch":"150","Tick Pan":"0"}},
 {"name":"YEP_X_AftermathLevelUp","status":true,"description":"v1.01 (Requires YEP_VictoryAftermath.js) Adds a level up\nportion to the Victory Aftermath sequences.","parameters":{"---General---":"","Level Up Title":"%1 has reached Level %2!","Enable Aftermath":"true","Font Size":"28","---Skill Learn---":"","Skill Text Singular":"Acquired Skill","Skill Text Plural":"Acquired Skills","Skill List Width":"200"}},
-{"name":"craft_system","status":true,"description":"A crafting system for RPG Maker MV that reads crafting recipes from the note fields of items, weapons, and armor.","parameters":{"Craft Menu Name":"Craft"}},
-{"name":"Additional_function","status":true,"description":"contains 2 function\r\n1. manually modify the show text with SetTextWindowSize [width] [height] [x] [y] [warp/true or false]\r\n2.Make an target unselectable with state that have <SP variable>nontargetable</SP variable> tag in the note box.","parameters":{"Targetable State Tag":"<SP variable>\r"}}
+{"name":"timedelay","status":true,"description":"Allows more than one timer running at once, with custom commands","parameters":{}},
+{"name":"toast_system","status":true,"description":"Short messages that pop up in any scene, stack, and fade out by themselves.","parameters":{"Duration":"120","Fade Frames":"15","Max Toasts":"3","Position":"top","Width":"600"}},
+{"name":"craft_system","status":true,"description":"A crafting system for RPG Maker MV that reads crafting recipes from the note fields of items, weapons, and armor.","parameters":{"Craft Menu Name":"Craft","Menu Show Switch":"0","Menu Enable Switch":"7","Menu Enable Eval":"","Menu Icon":"0","Menu Position":"-1","Menu Locked Text":"Crafting has not been unlocked yet.","Recipe Discovery":"false","Auto Learn":"false","Unknown Recipe Name":"??????","Experiment Penalty":"consume","Availability Variable":"2","Salvage Rate":"50","Validate Recipes":"true","Strict Validation":"false","Gold Icon":"0","Variable Icons":"","Proficiency Mode":"party","Max Craft Level":"10","Level EXP":"100","Craft EXP":"10","Level Success Bonus":"2","Quality Tiers":"Crude:80:25, Normal:100:50, Fine:115:20, Masterwork:130:5","Level Quality Bonus":"2","Details Height":"350","List Columns":"3","Description Label":"Description:","Materials Label":"Materials:","Produces Label":"Produces:","Cost Label":"Cost:","Currency Name":"","Mode Names":"Recipes, Experiment, Salvage, Jobs","Category Names":"Items, Weapons, Armor, Key","Sort Names":"Sort: Default, Sort: Name, Sort: Craftable, Sort: Cost","Show All Text":"Show All","Craftable Only Text":"Craftable Only","Parameter Labels":"Attack, Defense, M.Attack, M.Defense, Agility, Luck","Material Text":"Material %1: %2","Upgrade Text":"Upgrades: %1","Equip Compare Text":"Equip (%1):","Success Chance Text":"Success: %1%","Great Chance Text":"Great Success: %1%","Time Text":"Time: %1","Inventory Source Text":"Inventory x%1","Experiment Commands":"Add Item, Combine, Clear","Ingredients Label":"Ingredients (%1/%2):","Salvage Returns Label":"Returns:","No Salvage Text":"Cannot be salvaged.","Crafter Label":"Crafting","Next Level Text":"%1 to next","Max Level Text":"Max","Quality Name Format":"%1 (%2)","Quantity Help Text":"Craft how many? %1","Limit Text":"Up to %1, limited by %2.","Bag Space Name":"bag space","Upgrade Help Text":"Upgrade which %1?","Jobs Help Text":"Choose a job to cancel it. Its materials are given back.","Station Reason":"Must be crafted at %1.","Unknown Recipe Reason":"You have not learned this recipe.","Required Item Reason":"Requires %1.","Required Level Reason":"Requires crafting level %1.","Not Enough Reason":"Not enough %1.","Upgrade Source Reason":"No %1 to upgrade.","Bag Full Reason":"Cannot carry more %1.","Success Text":"Crafted successfully!","Multi Success Text":"Crafted %1 successfully!","Great Success Text":"Great success!","Partial Success Text":"Crafted %1 of %2","Great Count Text":", %1 great","Failed Count Text":", %1 failed","Failure Text":"Crafting failed. The materials were lost.","Refund Failure Text":"Crafting failed. Some materials were recovered.","Junk Failure Text":"Crafting failed. Got %1 instead.","Level Up Text":"Crafting level %1!","Discovered Text":"Discovered %1!","Experiment Failure Text":"Nothing came of it.","Salvage Text":"Salvaged %1: %2.","Salvage Empty Text":"Salvaged %1, nothing was left.","Job Started Text":"Started %1 x%2, ready in %3.","Job Ready Text":"%1 is ready!","Job Cancelled Text":"Cancelled %1. Materials returned.","Notification Duration":"120","Success SE":"","Failure SE":""}},
+{"name":"Additional_function","status":true,"description":"contains 3 function\r\n1. manually modify the show text with SetTextWindowSize [width] [height] [x] [y] [warp/true or false]\r\n2.Make an target unselectable with state that have <SP variable>nontargetable</SP variable> tag in the note box.\r\n3. <Flags: untargetable, silence-items, no-escape> note tags for actors, classes, equipment, states and enemies.","parameters":{"Targetable State Tag":"<SP variable>nontargetable</SP variable>"}},
+{"name":"WeaponSkill","status":true,"description":"Change skill id of attack for each weapon.","parameters":{"Dual Wield Attack":"main","Mastery Per Use":"1","Mastery Label":"Mastery","Mastered Text":"Mastered","Mastered Message":"%1 mastered %2!"}}
 ];
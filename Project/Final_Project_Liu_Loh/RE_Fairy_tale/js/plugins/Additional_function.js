@@ -1,47 +1,409 @@
 /*:
- * 1.Make an target unselectable with state that have <SP variable>nontargetable</SP variable> tag in the note box.
+ * @plugindesc contains 3 function
+ * 1. manually modify the show text with SetTextWindowSize [width] [height] [x] [y] [warp/true or false]
+ * 2.Make an target unselectable with state that have <SP variable>nontargetable</SP variable> tag in the note box.
+ * 3. <Flags: untargetable, silence-items, no-escape> note tags for actors, classes, equipment, states and enemies.
  * @param Targetable State Tag
- * @desc The tag used in the state note box to make enemies unselectable (e.g., <SP variable>nontargetable</SP variable>).
+ * @desc The tag used in the state note box to make battlers unselectable (e.g., <SP variable>nontargetable</SP variable>).
  * @type string
- * @default 
- * <SP variable>
- * nontargetable
- * </SP variable>
+ * @default <SP variable>nontargetable</SP variable>
+ *
+ * @help
+ * Flags:
+ * Actors, classes, weapons, armors, states and enemies can carry flags in
+ * their notes, separated by commas. The tag may repeat.
+ *   <Flags: untargetable, silence-items, no-escape>
+ * A battler has a flag when any of these objects of it has the flag: its
+ * actor, class, equipment and states, or its enemy and states. Flags are
+ * read once when the database loads; unknown flags are listed in the
+ * console. Script calls:
+ *   battler.hasFlag('no-escape')
+ *   FlagManager.register('my-flag', 'What it does')   # From other plugins
+ * Built-in flags:
+ *   untargetable         Cannot be chosen as a target (see below).
+ *   untargetable-aoe     With untargetable: still hit by skills for a side.
+ *   untargetable-always  With untargetable: never targetable as the last.
+ *   silence-items        Cannot use items.
+ *   no-escape            While in battle, the party cannot escape.
+ *
+ * Untargetable:
+ * An untargetable battler cannot be chosen as a target, by the player in the
+ * enemy and actor windows, or by enemy AI, random targets and confusion.
+ * Skills that hit every enemy or every ally pass over it too, unless every
+ * object making it untargetable also has untargetable-aoe. Once only
+ * untargetable battlers are left on a side they can be targeted again, so a
+ * battle can always be finished, unless an object making them untargetable
+ * has untargetable-always. The Targetable State Tag, <Untargetable AoE> and
+ * <Untargetable Always> still work as these three flags.
+ *
+ * Message window size:
+ *   SetTextWindowSize 700 300 250 60 true
+ *     Shows the following messages in a window 700 pixels wide and 300 high,
+ *     with its top left corner at x 250, y 60, and word wrap on. Each value
+ *     may be "-" to keep the usual one: the width and height set by
+ *     MessageWidth and MessageRows, the window centred and placed by the
+ *     message's position, and the word wrap of EnableWordWrap and
+ *     DisableWordWrap. Values left off the end count as "-".
+ *   SetTextWindowSize 700 300 250 60 true once
+ *     The same, but only for the next message.
+ *   ResetTextWindowSize
+ *     Goes back to the usual size, position and word wrap.
+ * The size lasts until ResetTextWindowSize (or, with once, until the next
+ * message closes) and is saved with the game. The height also decides how
+ * many text lines one message holds, like MessageRows. This needs
+ * YEP_MessageCore above this plugin.
  */
 
 
+function FlagManager() {
+    throw new Error('This is a static class');
+}
+
 (
     function() {
-    var parameters = PluginManager.parameters('UnselectableState');
+    var parameters = PluginManager.parameters('Additional_function');
     var targetableTag = String(parameters['Targetable State Tag'] || '<SP variable>nontargetable</SP variable>');
 
-     
-    Game_Enemy.prototype.isSelectable = function() {
-        
-        for (var i = 0; i < this._states.length; i++) {
-            var stateId = this._states[i];
-            var state = $dataStates[stateId];
-            if (state && state.note.includes(targetableTag)) {
+    //=========================================================================
+    // Flags
+    //=========================================================================
+
+    FlagManager._flags = {};
+
+    // Other plugins register their flags before the database loads, so that
+    // a misspelt flag in a note can be reported.
+    FlagManager.register = function(name, description) {
+        this._flags[name.toLowerCase()] = description || '';
+    };
 
+    FlagManager.isRegistered = function(name) {
+        return this._flags.hasOwnProperty(name.toLowerCase());
+    };
+
+    FlagManager.names = function() {
+        return Object.keys(this._flags);
+    };
 
-                return false;  
+    FlagManager.register('untargetable', 'Cannot be chosen as a target.');
+    FlagManager.register('untargetable-aoe', 'Untargetable, but still hit by skills for the whole side.');
+    FlagManager.register('untargetable-always', 'Untargetable even when nobody else on the side can be targeted.');
+    FlagManager.register('silence-items', 'Cannot use items.');
+    FlagManager.register('no-escape', 'The party cannot escape from battle.');
+
+    // Reads the <Flags: ...> tags of an object, plus the older tags that mean
+    // the same thing.
+    FlagManager.parseFlags = function(object) {
+        var flags = [];
+        var regExp = /<Flags:\s*([^>]*)>/gi;
+        var match;
+        while ((match = regExp.exec(object.note))) {
+            match[1].split(',').forEach(function(name) {
+                name = name.trim().toLowerCase();
+                if (name && !flags.contains(name)) {
+                    flags.push(name);
+                }
+            });
+        }
+        if (object.note.includes(targetableTag)) {
+            flags.push('untargetable');
+        }
+        if (object.meta['Untargetable AoE']) {
+            flags.push('untargetable-aoe');
+        }
+        if (object.meta['Untargetable Always']) {
+            flags.push('untargetable-always');
+        }
+        return flags;
+    };
+
+    var _DataManager_onLoad = DataManager.onLoad;
+    DataManager.onLoad = function(object) {
+        _DataManager_onLoad.call(this, object);
+        if (object === $dataActors || object === $dataClasses || object === $dataWeapons ||
+                object === $dataArmors || object === $dataStates || object === $dataEnemies) {
+            object.forEach(function(data) {
+                if (data) {
+                    data.flags = FlagManager.parseFlags(data);
+                    data.flags.forEach(function(name) {
+                        if (!FlagManager.isRegistered(name)) {
+                            console.warn('Additional_function: unknown flag "' + name + '" on ' + data.name + '.');
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+    // The actor, class, equipment and states of an actor, or the enemy and
+    // states of an enemy, that have the flag.
+    Game_BattlerBase.prototype.flagObjects = function(name) {
+        return this.traitObjects().filter(function(object) {
+            return object.flags && object.flags.contains(name);
+        });
+    };
+
+    Game_BattlerBase.prototype.hasFlag = function(name) {
+        return this.flagObjects(name.toLowerCase()).length > 0;
+    };
+
+    var _Game_BattlerBase_meetsItemConditions = Game_BattlerBase.prototype.meetsItemConditions;
+    Game_BattlerBase.prototype.meetsItemConditions = function(item) {
+        return !this.hasFlag('silence-items') && _Game_BattlerBase_meetsItemConditions.call(this, item);
+    };
+
+    var _BattleManager_canEscape = BattleManager.canEscape;
+    BattleManager.canEscape = function() {
+        var battlers = $gameParty.battleMembers().concat($gameTroop.aliveMembers());
+        return _BattleManager_canEscape.call(this) && !battlers.some(function(battler) {
+            return battler.hasFlag('no-escape');
+        });
+    };
+
+    //=========================================================================
+    // Untargetable
+    //=========================================================================
+
+    Game_BattlerBase.prototype.isUntargetable = function() {
+        return this.hasFlag('untargetable');
+    };
+
+    // Whether skills that hit the whole side still hit this battler.
+    Game_BattlerBase.prototype.isHitByAllTargets = function() {
+        return this.flagObjects('untargetable').every(function(object) {
+            return object.flags.contains('untargetable-aoe');
+        });
+    };
+
+    // Whether this battler can be targeted once nobody else on its side can.
+    Game_BattlerBase.prototype.isTargetableWhenLast = function() {
+        return this.flagObjects('untargetable').every(function(object) {
+            return !object.flags.contains('untargetable-always');
+        });
+    };
+
+    Game_Unit.prototype.targetableMembers = function() {
+        var members = this.aliveMembers();
+        var targetable = members.filter(function(member) {
+            return !member.isUntargetable();
+        });
+        if (targetable.length === 0) {
+            targetable = members.filter(function(member) {
+                return member.isTargetableWhenLast();
+            });
+        }
+        return targetable;
+    };
+
+    // The members a skill for the whole side hits.
+    Game_Unit.prototype.allTargetMembers = function() {
+        var targetable = this.targetableMembers();
+        return this.aliveMembers().filter(function(member) {
+            return targetable.contains(member) || member.isHitByAllTargets();
+        });
+    };
+
+    Game_Unit.prototype.randomTarget = function() {
+        var members = this.targetableMembers();
+        var tgrRand = Math.random() * members.reduce(function(r, member) {
+            return r + member.tgr;
+        }, 0);
+        var target = null;
+        members.forEach(function(member) {
+            tgrRand -= member.tgr;
+            if (tgrRand <= 0 && !target) {
+                target = member;
             }
+        });
+        return target;
+    };
+
+    Game_Unit.prototype.smoothTarget = function(index) {
+        var members = this.targetableMembers();
+        var member = this.members()[Math.max(index, 0)];
+        return members.contains(member) ? member : members[0];
+    };
+
+    var _Game_Action_targetsForOpponents = Game_Action.prototype.targetsForOpponents;
+    Game_Action.prototype.targetsForOpponents = function() {
+        if (this.isForAll()) {
+            return this.opponentsUnit().allTargetMembers();
+        }
+        return _Game_Action_targetsForOpponents.call(this);
+    };
+
+    var _Game_Action_targetsForFriends = Game_Action.prototype.targetsForFriends;
+    Game_Action.prototype.targetsForFriends = function() {
+        if (this.isForAll() && !this.isForDeadFriend() && !this.isForUser()) {
+            return this.friendsUnit().allTargetMembers();
         }
-        
-        return true;  
+        return _Game_Action_targetsForFriends.call(this);
     };
 
-     var _Window_BattleEnemy_isCursorMovable = Window_BattleEnemy.prototype.isCursorMovable;
-    Window_BattleEnemy.prototype.isCursorMovable = function() {
-        var original = _Window_BattleEnemy_isCursorMovable.call(this);
-        if (!original) return false;
+    // Used when auto battle and confused actors weigh their options.
+    var _Game_Action_itemTargetCandidates = Game_Action.prototype.itemTargetCandidates;
+    Game_Action.prototype.itemTargetCandidates = function() {
+        if (!this.isValid() || this.isForUser() || this.isForDeadFriend()) {
+            return _Game_Action_itemTargetCandidates.call(this);
+        }
+        var unit = this.isForOpponent() ? this.opponentsUnit() : this.friendsUnit();
+        return this.isForAll() ? unit.allTargetMembers() : unit.targetableMembers();
+    };
 
-         var selectableEnemies = $gameTroop.aliveMembers().filter(function(enemy) {
-            var selectable = enemy.isSelectable();
-            return selectable;
+    var _Window_BattleEnemy_refresh = Window_BattleEnemy.prototype.refresh;
+    Window_BattleEnemy.prototype.refresh = function() {
+        _Window_BattleEnemy_refresh.call(this);
+        var targetable = $gameTroop.targetableMembers();
+        this._enemies = this._enemies.filter(function(enemy) {
+            return targetable.contains(enemy);
         });
+        Window_Selectable.prototype.refresh.call(this);
+    };
+
+    // Actors are listed in party order, so an untargetable one stays in the
+    // window but cannot be chosen for a single-ally skill.
+    Window_BattleActor.prototype.isTargetChoice = function() {
+        var action = BattleManager.inputtingAction();
+        return !!action && action.isForOne() && !action.isForUser() && !action.isForDeadFriend();
+    };
 
-        this._enemies = selectableEnemies; 
-        return true;
+    var _Window_BattleActor_isCurrentItemEnabled = Window_BattleActor.prototype.isCurrentItemEnabled;
+    Window_BattleActor.prototype.isCurrentItemEnabled = function() {
+        if (this.isTargetChoice() && !$gameParty.targetableMembers().contains(this.actor())) {
+            return false;
+        }
+        return _Window_BattleActor_isCurrentItemEnabled.call(this);
+    };
+
+    Window_BattleActor.prototype.selectTargetable = function() {
+        var actor = this.actor();
+        if (this.isTargetChoice() && !$gameParty.targetableMembers().contains(actor)) {
+            var target = $gameParty.targetableMembers()[0];
+            if (target) {
+                this.select(target.index());
+            }
+        }
+    };
+
+    var _Scene_Battle_selectActorSelection = Scene_Battle.prototype.selectActorSelection;
+    Scene_Battle.prototype.selectActorSelection = function() {
+        _Scene_Battle_selectActorSelection.call(this);
+        this._actorWindow.selectTargetable();
+    };
+
+    //=========================================================================
+    // SetTextWindowSize
+    //=========================================================================
+
+    var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+    Game_Interpreter.prototype.pluginCommand = function(command, args) {
+        _Game_Interpreter_pluginCommand.call(this, command, args);
+        if (command === 'SetTextWindowSize') {
+            $gameSystem.setTextWindowSize({
+                width: textWindowNumber(args[0]),
+                height: textWindowNumber(args[1]),
+                x: textWindowNumber(args[2]),
+                y: textWindowNumber(args[3]),
+                wrap: args[4] === 'true' ? true : args[4] === 'false' ? false : null,
+                once: args[5] === 'once'
+            });
+        } else if (command === 'ResetTextWindowSize') {
+            $gameSystem.resetTextWindowSize();
+        }
+    };
+
+    // "-" or a missing value keeps the usual setting.
+    function textWindowNumber(arg) {
+        return arg === undefined || arg === '-' ? null : Number(arg);
+    }
+
+    // Text lines that fit in a window of the given height.
+    function textWindowRows(height) {
+        var padding = Window_Base.prototype.standardPadding() * 2;
+        return Math.max(Math.floor((height - padding) / Window_Base.prototype.lineHeight()), 1);
+    }
+
+    Game_System.prototype.textWindowSize = function() {
+        return this._textWindowSize || null;
+    };
+
+    Game_System.prototype.setTextWindowSize = function(size) {
+        this._textWindowSize = size;
+    };
+
+    Game_System.prototype.resetTextWindowSize = function() {
+        this._textWindowSize = null;
+    };
+
+    // YEP_MessageCore reads this to know how many lines one message holds.
+    var _Game_System_messageRows = Game_System.prototype.messageRows;
+    Game_System.prototype.messageRows = function() {
+        var size = this.textWindowSize();
+        if (size && size.height !== null) {
+            return textWindowRows(size.height);
+        }
+        return _Game_System_messageRows.call(this);
+    };
+
+    var _Window_Message_windowWidth = Window_Message.prototype.windowWidth;
+    Window_Message.prototype.windowWidth = function() {
+        var size = $gameSystem.textWindowSize();
+        if (size && size.width !== null) {
+            return size.width;
+        }
+        return _Window_Message_windowWidth.call(this);
+    };
+
+    var _Window_Message_windowHeight = Window_Message.prototype.windowHeight;
+    Window_Message.prototype.windowHeight = function() {
+        var size = $gameSystem.textWindowSize();
+        if (size && size.height !== null) {
+            return size.height;
+        }
+        return _Window_Message_windowHeight.call(this);
+    };
+
+    // Runs before YEP_MessageCore looks for <WordWrap>.
+    var _Window_Message_convertEscapeCharacters = Window_Message.prototype.convertEscapeCharacters;
+    Window_Message.prototype.convertEscapeCharacters = function(text) {
+        var size = $gameSystem.textWindowSize();
+        if (size && size.wrap === true) {
+            text = '<WordWrap>' + text;
+        } else if (size && size.wrap === false) {
+            text = text.replace(/<WordWrap>/gi, '');
+        }
+        return _Window_Message_convertEscapeCharacters.call(this, text);
+    };
+
+    // YEP_MessageCore centres the window again on every page.
+    var _Window_Message_newPage = Window_Message.prototype.newPage;
+    Window_Message.prototype.newPage = function(textState) {
+        _Window_Message_newPage.call(this, textState);
+        this.placeTextWindow();
+    };
+
+    var _Window_Message_updatePlacement = Window_Message.prototype.updatePlacement;
+    Window_Message.prototype.updatePlacement = function() {
+        _Window_Message_updatePlacement.call(this);
+        this.placeTextWindow();
+    };
+
+    Window_Message.prototype.placeTextWindow = function() {
+        var size = $gameSystem.textWindowSize();
+        if (size && size.x !== null) {
+            this.x = size.x;
+        }
+        if (size && size.y !== null) {
+            this.y = size.y;
+            this._goldWindow.y = this.y > 0 ? 0 : Graphics.boxHeight - this._goldWindow.height;
+        }
+    };
+
+    var _Window_Message_terminateMessage = Window_Message.prototype.terminateMessage;
+    Window_Message.prototype.terminateMessage = function() {
+        _Window_Message_terminateMessage.call(this);
+        var size = $gameSystem.textWindowSize();
+        if (size && size.once) {
+            $gameSystem.resetTextWindowSize();
+        }
     };
 })();
@@ -6,15 +6,75 @@
  * @plugindesc Change skill id of attack for each weapon.
  * @author Sasuke KANNAZUKI
  *
+ * @param Dual Wield Attack
+ * @type select
+ * @option main
+ * @option both
+ * @desc main: a dual wielder attacks with the dominant hand's skill.
+ * both: the attack uses each hand's skill in turn.
+ * @default main
+ *
+ * @param Mastery Per Use
+ * @type number
+ * @min 0
+ * @desc Mastery points a weapon gains each time it makes an attack or one
+ * of its granted skills is used in battle.
+ * @default 1
+ *
+ * @param Mastery Label
+ * @desc Label of the mastery line in the equip screen.
+ * @default Mastery
+ *
+ * @param Mastered Text
+ * @desc Shown on the mastery line once the weapon is mastered.
+ * @default Mastered
+ *
+ * @param Mastered Message
+ * @desc Shown when an actor masters a weapon. %1: actor, %2: weapon.
+ * @default %1 mastered %2!
+ *
  * @help This plugin does not provide plugin commands.
  *
  * When <skill_id:3> is written in a weapon's note field, 
  * skill id # 3 is used for the weapon's attack.
  * If nothing is written, default id(=1) is used.
  *
+ * Conditions:
+ * <skill_id if state 17: 28> uses skill # 28 instead while the actor
+ * has state # 17, and <skill_id if switch 5: 28> while switch # 5 is ON.
+ * Conditional tags are checked first, in the order written, and the
+ * plain <skill_id:3> is used when none of them holds.
+ *
+ * Armors and states:
+ * Armors and states can have the same tags. An attack skill from a
+ * state wins over one from an armor, which wins over the weapons.
+ * Such a skill replaces the whole attack, also for a dual wielder.
+ *
+ * Dual wield:
+ * With Dual Wield Attack set to both, choosing Attack while holding
+ * two weapons uses the dominant hand's skill and then the other hand's
+ * skill, on the same target when it can. Both hands act in the same
+ * turn, also in CTB battles. A hand without a skill tag uses the default
+ * skill.
+ *
+ * Granted skills and mastery:
+ * <Grant Skill: 35> lets the actor use skill # 35 while the weapon is
+ * equipped. The tag may repeat, or list several ids: <Grant Skill: 35, 36>.
+ * <Mastery: 30> lets the actor keep those skills for good once the weapon
+ * has 30 mastery points. A weapon gains Mastery Per Use points each time
+ * the actor attacks with it, whichever skill the attack turns into, and
+ * each time one of its granted skills is used in battle. With Dual Wield
+ * Attack set to main, only the dominant hand's weapon makes the attack.
+ * Points are kept per actor and per weapon, and a crafted quality copy
+ * such as "Iron Sword (Fine)" counts as its plain weapon. The equip screen
+ * shows the points of the weapon in the dominant hand. Mastering a weapon
+ * shows the Mastered Message as a toast when toast_system.js is on, or
+ * else in the battle log.
+ *
  * Check Points:
- * - When multiple weapons are equipped, the skill id of the weapon
- *  held in the dominant hand (previously defined) is used.
+ * - When multiple weapons are equipped and Dual Wield Attack is main,
+ *  the skill id of the weapon held in the dominant hand (previously
+ *  defined) is used.
  * - It is most favorable for "skill type" to be "none"(=0),
  *  otherwise you cannot attack when your skill is blocked.
  *
@@ -50,17 +110,194 @@
 
 (function() {
 
+  var parameters = PluginManager.parameters('WeaponSkill');
+  var dualWieldAttack = String(parameters['Dual Wield Attack'] || 'main');
+  var masteryPerUse = parameters['Mastery Per Use'];
+  masteryPerUse = masteryPerUse === undefined || masteryPerUse === '' ? 1 : Number(masteryPerUse);
+  var masteryLabel = String(parameters['Mastery Label'] || 'Mastery');
+  var masteredText = String(parameters['Mastered Text'] || 'Mastered');
+  var masteredMessage = String(parameters['Mastered Message'] || '%1 mastered %2!');
+
+  //
+  // read the skill_id tags once, conditional ones first.
+  //
+  var _DataManager_onLoad = DataManager.onLoad;
+  DataManager.onLoad = function(object) {
+    _DataManager_onLoad.call(this, object);
+    if (object === $dataWeapons || object === $dataArmors || object === $dataStates) {
+      object.forEach(function(data) {
+        if (data) {
+          data.attackSkills = parseAttackSkills(data.note);
+        }
+        if (data && object === $dataWeapons) {
+          data.grantSkills = parseGrantSkills(data.note);
+          data.masteryPoints = Number(data.meta.Mastery || 0);
+        }
+      });
+    }
+  };
+
+  function parseAttackSkills(note) {
+    var conditional = [];
+    var plain = [];
+    var regExp = /<skill_id(?:\s+if\s+(state|switch)\s+(\d+))?\s*:\s*(\d+)\s*>/gi;
+    var match;
+    while ((match = regExp.exec(note))) {
+      if (match[1]) {
+        conditional.push({ type: match[1].toLowerCase(), id: Number(match[2]), skillId: Number(match[3]) });
+      } else {
+        plain.push({ type: null, id: 0, skillId: Number(match[3]) });
+      }
+    }
+    return conditional.concat(plain);
+  }
+
+  function parseGrantSkills(note) {
+    var skillIds = [];
+    var regExp = /<Grant Skill:\s*([\d,\s]+)>/gi;
+    var match;
+    while ((match = regExp.exec(note))) {
+      match[1].split(',').forEach(function(id) {
+        if (Number(id) > 0) {
+          skillIds.push(Number(id));
+        }
+      });
+    }
+    return skillIds;
+  }
+
+  //
+  // the skill id an object gives to the actor's attack, or 0.
+  //
+  Game_Actor.prototype.objectAttackSkillId = function(object) {
+    var entries = object && object.attackSkills || [];
+    for (var i = 0; i < entries.length; i++) {
+      var entry = entries[i];
+      if (!entry.type || (entry.type === 'state' && this.isStateAffected(entry.id)) ||
+          (entry.type === 'switch' && $gameSwitches.value(entry.id))) {
+        return entry.skillId;
+      }
+    }
+    return 0;
+  };
+
+  //
+  // skill id from states, then armors, or 0.
+  //
+  Game_Actor.prototype.overrideAttackSkillId = function() {
+    var objects = this.states().concat(this.armors());
+    for (var i = 0; i < objects.length; i++) {
+      var id = this.objectAttackSkillId(objects[i]);
+      if (id) {
+        return id;
+      }
+    }
+    return 0;
+  };
+
+  //
+  // skill id for the weapon in one hand (0: dominant, 1: other).
+  //
+  Game_Actor.prototype.handAttackSkillId = function(hand) {
+    var normalId = Game_BattlerBase.prototype.attackSkillId.call(this);
+    var weapon = this.equips()[hand];
+    if (!DataManager.isWeapon(weapon)) {
+      return normalId;
+    }
+    return this.objectAttackSkillId(weapon) || normalId;
+  };
+
+  //
+  // true when an attack uses both hands in turn.
+  //
+  Game_Actor.prototype.attacksWithBothHands = function() {
+    return dualWieldAttack === 'both' && this.isDualWield() &&
+        this.weapons().length > 1 && !this.overrideAttackSkillId();
+  };
+
+
   //
   // set skill id for attack.
   //
   Game_Actor.prototype.attackSkillId = function() {
     var normalId = Game_BattlerBase.prototype.attackSkillId.call(this);
+    var overrideId = this.overrideAttackSkillId();
+    if(overrideId){
+      return overrideId;
+    }
     if(this.hasNoWeapons()){
       return normalId;
     }
     var weapon = this.weapons()[0];  // at plural weapon, one's first skill.
-    var id = weapon.meta.skill_id;
-    return id ? Number(id) : normalId;
+    return this.objectAttackSkillId(weapon) || normalId;
+  };
+
+  //
+  // mark actions made by the attack command.
+  //
+  var _Game_Action_setSkill = Game_Action.prototype.setSkill;
+  Game_Action.prototype.setSkill = function(skillId) {
+    _Game_Action_setSkill.call(this, skillId);
+    this._weaponHand = -1;
+  };
+
+  var _Game_Action_setAttack = Game_Action.prototype.setAttack;
+  Game_Action.prototype.setAttack = function() {
+    _Game_Action_setAttack.call(this);
+    this._weaponHand = 0;
+  };
+
+  //
+  // queue the other hand's skill behind a dual wield attack.
+  //
+  Game_Actor.prototype.queueOffHandAttack = function() {
+    var action = this.currentAction();
+    if (!action || action._weaponHand !== 0 || !this.attacksWithBothHands() || this.offHandAction()) {
+      return;
+    }
+    var offHand = new Game_Action(this);
+    offHand.setSkill(this.handAttackSkillId(1));
+    offHand.setTarget(action._targetIndex);
+    offHand._weaponHand = 1;
+    action.setSkill(this.handAttackSkillId(0));
+    action._weaponHand = 0;
+    this._actions.splice(1, 0, offHand);
+  };
+
+  // the off-hand action queued behind the current one, if any.
+  Game_Actor.prototype.offHandAction = function() {
+    var action = this._actions[1];
+    return action && action._weaponHand === 1 ? action : null;
+  };
+
+  var _BattleManager_startAction = BattleManager.startAction;
+  BattleManager.startAction = function() {
+    if (this._subject && this._subject.isActor()) {
+      this._subject.queueOffHandAttack();
+    }
+    _BattleManager_startAction.call(this);
+  };
+
+  //
+  // CTB runs one action and ends the battler's turn, so the off-hand
+  // follows the main hand here, inside the same turn.
+  //
+  var _BattleManager_endAction = BattleManager.endAction;
+  BattleManager.endAction = function() {
+    var subject = this._subject;
+    if (subject && subject.isActor() && !this._processingForcedAction) {
+      var action = subject.currentAction();
+      var offHand = subject.offHandAction();
+      if (action && action._weaponHand === 0 && offHand) {
+        subject.removeCurrentAction();
+        offHand.prepare();
+        if (offHand.isValid()) {
+          this.startAction();
+          return;
+        }
+      }
+    }
+    _BattleManager_endAction.call(this);
   };
 
   //
@@ -79,5 +316,109 @@
     this.onSelectAction();
   };
 
-})();
+  //
+  // skills granted by the equipped weapons.
+  //
+  var _Game_Actor_addedSkills = Game_Actor.prototype.addedSkills;
+  Game_Actor.prototype.addedSkills = function() {
+    var skillIds = _Game_Actor_addedSkills.call(this);
+    this.weapons().forEach(function(weapon) {
+      (weapon.grantSkills || []).forEach(function(skillId) {
+        if (!skillIds.contains(skillId)) {
+          skillIds.push(skillId);
+        }
+      });
+    });
+    return skillIds;
+  };
+
+  //
+  // weapon mastery, kept per actor by the plain weapon's id.
+  //
+  function masteryWeaponId(weapon) {
+    return weapon.baseItemId || weapon.id;
+  }
+
+  Game_Actor.prototype.weaponMastery = function(weapon) {
+    return this._weaponMastery ? this._weaponMastery[masteryWeaponId(weapon)] || 0 : 0;
+  };
+
+  Game_Actor.prototype.isWeaponMastered = function(weapon) {
+    return weapon.masteryPoints > 0 && this.weaponMastery(weapon) >= weapon.masteryPoints;
+  };
 
+  Game_Actor.prototype.gainWeaponMastery = function(weapon, value) {
+    if (!(weapon.masteryPoints > 0) || this.isWeaponMastered(weapon)) {
+      return;
+    }
+    if (!this._weaponMastery) {
+      this._weaponMastery = {};
+    }
+    var id = masteryWeaponId(weapon);
+    this._weaponMastery[id] = Math.min(this.weaponMastery(weapon) + value, weapon.masteryPoints);
+    if (this.isWeaponMastered(weapon)) {
+      weapon.grantSkills.forEach(function(skillId) {
+        this.learnSkill(skillId);
+      }, this);
+      var message = masteredMessage.format(this.name(), $dataWeapons[id].name);
+      if (window.ToastManager) {
+        ToastManager.show(message, $dataWeapons[id].iconIndex);
+      } else if ($gameParty.inBattle()) {
+        BattleManager._logWindow.push('addText', message);
+      }
+    }
+  };
+
+  //
+  // a weapon trains when it makes the attack, or when one of its granted
+  // skills is used in battle.
+  //
+  var _Game_Actor_useItem = Game_Actor.prototype.useItem;
+  Game_Actor.prototype.useItem = function(item) {
+    _Game_Actor_useItem.call(this, item);
+    if (!$gameParty.inBattle() || !DataManager.isSkill(item) || masteryPerUse <= 0) {
+      return;
+    }
+    var action = this.currentAction();
+    var attackHand = action && action.item() === item ? action._weaponHand : -1;
+    this.equips().forEach(function(weapon, hand) {
+      if (DataManager.isWeapon(weapon) &&
+          (hand === attackHand || weapon.grantSkills.contains(item.id))) {
+        this.gainWeaponMastery(weapon, masteryPerUse);
+      }
+    }, this);
+  };
+
+  //
+  // mastery line under the parameters in the equip screen.
+  //
+  var _Window_EquipStatus_numVisibleRows = Window_EquipStatus.prototype.numVisibleRows;
+  Window_EquipStatus.prototype.numVisibleRows = function() {
+    return _Window_EquipStatus_numVisibleRows.call(this) + 1;
+  };
+
+  var _Window_EquipStatus_refresh = Window_EquipStatus.prototype.refresh;
+  Window_EquipStatus.prototype.refresh = function() {
+    _Window_EquipStatus_refresh.call(this);
+    if (this._actor) {
+      this.drawWeaponMastery(this.textPadding(), this.lineHeight() * (this.numVisibleRows() - 1));
+    }
+  };
+
+  // the weapon being tried on, or else the one in the dominant hand.
+  Window_EquipStatus.prototype.drawWeaponMastery = function(x, y) {
+    var weapon = (this._tempActor || this._actor).weapons()[0];
+    if (!weapon || !(weapon.masteryPoints > 0)) {
+      return;
+    }
+    var width = this.contents.width - x - this.textPadding();
+    this.drawIcon(weapon.iconIndex, x, y + 2);
+    this.changeTextColor(this.systemColor());
+    this.drawText(masteryLabel, x + Window_Base._iconWidth + 4, y, width / 2);
+    this.resetTextColor();
+    var text = this._actor.isWeaponMastered(weapon) ? masteredText :
+        this._actor.weaponMastery(weapon) + '/' + weapon.masteryPoints;
+    this.drawText(text, x + width / 2, y, width / 2, 'right');
+  };
+
+})();
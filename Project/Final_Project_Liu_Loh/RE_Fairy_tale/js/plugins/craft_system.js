@@ -6,6 +6,383 @@
  * @desc The name of the crafting menu item.
  * @default Craft
  *
+ * @param Menu Show Switch
+ * @type switch
+ * @desc The Craft command is only in the main menu while this switch is ON. 0: always shown.
+ * @default 0
+ *
+ * @param Menu Enable Switch
+ * @type switch
+ * @desc The Craft command can only be chosen while this switch is ON. 0: no switch.
+ * @default 7
+ *
+ * @param Menu Enable Eval
+ * @desc A JavaScript condition that must also be true for the Craft command. Empty: none.
+ * @default
+ *
+ * @param Menu Icon
+ * @type number
+ * @desc Icon drawn before the Craft command. 0: no icon.
+ * @default 0
+ *
+ * @param Menu Position
+ * @type number
+ * @min -1
+ * @desc Index of the Craft command in the main menu. -1: after the other added commands, before Options.
+ * @default -1
+ *
+ * @param Menu Locked Text
+ * @desc Help text shown while the cursor is on a locked Craft command.
+ * @default Crafting has not been unlocked yet.
+ *
+ * @param Recipe Discovery
+ * @type boolean
+ * @desc When on, recipes the party has not learned are listed as unknown and cannot be crafted.
+ * @default false
+ *
+ * @param Auto Learn
+ * @type boolean
+ * @desc When on, a recipe is learned as soon as the party holds at least one of each of its materials.
+ * @default false
+ *
+ * @param Unknown Recipe Name
+ * @desc The name shown for a recipe the party has not learned.
+ * @default ??????
+ *
+ * @param Experiment Penalty
+ * @type select
+ * @option none
+ * @option consume
+ * @desc What happens to the chosen items when an experiment matches no recipe.
+ * none: nothing is lost. consume: the chosen items are used up.
+ * @default consume
+ *
+ * @param Availability Variable
+ * @type variable
+ * @desc Crafting is only available while this variable is 1 or more. 0 means always available.
+ * @default 2
+ *
+ * @param Salvage Rate
+ * @type number
+ * @min 0
+ * @max 100
+ * @desc Percentage of a recipe's materials that salvaging its result gives back.
+ * @default 50
+ *
+ * @param Validate Recipes
+ * @type boolean
+ * @desc Check every <recipe> note tag at boot and list the problems in the console.
+ * @default true
+ *
+ * @param Strict Validation
+ * @type boolean
+ * @desc In playtest, stop the game at boot when a recipe has problems.
+ * @default false
+ *
+ * @param Gold Icon
+ * @type number
+ * @desc The icon shown next to gold costs. 0 uses YEP_CoreEngine's Gold Icon.
+ * @default 0
+ *
+ * @param Variable Icons
+ * @desc Icons for variable costs, as variableId:iconIndex pairs separated by spaces.
+ * For example: 3:87
+ * @default
+ *
+ * @param Proficiency Mode
+ * @type select
+ * @option party
+ * @option actor
+ * @desc Who earns crafting EXP. party: one shared level. actor: the first
+ * party member tagged <Smith>, each smith keeping their own level.
+ * @default party
+ *
+ * @param Max Craft Level
+ * @type number
+ * @min 1
+ * @desc The highest crafting level.
+ * @default 10
+ *
+ * @param Level EXP
+ * @type number
+ * @min 1
+ * @desc EXP needed to go from level L to L + 1 is this times L.
+ * @default 100
+ *
+ * @param Craft EXP
+ * @type number
+ * @desc EXP gained per craft, unless the recipe has a Craft EXP line.
+ * @default 10
+ *
+ * @param Level Success Bonus
+ * @type number
+ * @decimals 1
+ * @desc Success rate added, in percent, for each crafting level above the recipe's Level.
+ * @default 2
+ *
+ * @param Quality Tiers
+ * @desc Quality tiers from worst to best, as Name:Param%:Weight separated by commas.
+ * A tier at 100% keeps the plain item.
+ * @default Crude:80:25, Normal:100:50, Fine:115:20, Masterwork:130:5
+ *
+ * @param Level Quality Bonus
+ * @type number
+ * @decimals 1
+ * @desc How far, in percent, each crafting level above the recipe's Level pushes quality rolls toward the best tier.
+ * @default 2
+ *
+ * @param Details Height
+ * @type number
+ * @min 120
+ * @desc Space kept under the recipe list for the details window, in pixels. At least 120.
+ * @default 350
+ *
+ * @param List Columns
+ * @type number
+ * @min 1
+ * @desc How many recipes the list shows per row.
+ * @default 3
+ *
+ * @param Description Label
+ * @desc Heading of the recipe description in the details window.
+ * @default Description:
+ *
+ * @param Materials Label
+ * @desc Heading of the material list in the details window.
+ * @default Materials:
+ *
+ * @param Produces Label
+ * @desc Heading of the product list in the details window.
+ * @default Produces:
+ *
+ * @param Cost Label
+ * @desc Heading of the cost line in the details window.
+ * @default Cost:
+ *
+ * @param Currency Name
+ * @desc Name shown after gold costs. Empty: the database's currency unit.
+ * @default
+ *
+ * @param Mode Names
+ * @desc Names of the crafting scene's tabs, separated by commas, in this order: recipes, experiment, salvage, jobs.
+ * @default Recipes, Experiment, Salvage, Jobs
+ *
+ * @param Category Names
+ * @desc Names of the built-in recipe categories, separated by commas, in this order: items, weapons, armor, key items.
+ * @default Items, Weapons, Armor, Key
+ *
+ * @param Sort Names
+ * @desc Names of the sort command, separated by commas, in this order: default, name, craftable, cost.
+ * @default Sort: Default, Sort: Name, Sort: Craftable, Sort: Cost
+ *
+ * @param Show All Text
+ * @desc Command that shows every recipe again while only craftable ones are listed.
+ * @default Show All
+ *
+ * @param Craftable Only Text
+ * @desc Command that hides the recipes that cannot be crafted now.
+ * @default Craftable Only
+ *
+ * @param Parameter Labels
+ * @desc Parameter names in the details window, separated by commas, in this order: attack, defense, m.attack, m.defense, agility, luck.
+ * @default Attack, Defense, M.Attack, M.Defense, Agility, Luck
+ *
+ * @param Material Text
+ * @desc A material line in the details window. %1: the material's number, %2: its name.
+ * @default Material %1: %2
+ *
+ * @param Upgrade Text
+ * @desc The line naming the item an upgrade recipe uses up. %1: the item's name.
+ * @default Upgrades: %1
+ *
+ * @param Equip Compare Text
+ * @desc Heading of the comparison with the battle members' equipment. %1: the parameter compared.
+ * @default Equip (%1):
+ *
+ * @param Success Chance Text
+ * @desc The success rate in the details window. %1: the rate in percent.
+ * @default Success: %1%
+ *
+ * @param Great Chance Text
+ * @desc The great success rate in the details window. %1: the rate in percent.
+ * @default Great Success: %1%
+ *
+ * @param Time Text
+ * @desc How long a timed recipe takes, in the details window. %1: the time.
+ * @default Time: %1
+ *
+ * @param Inventory Source Text
+ * @desc An upgrade source in the bag, in the upgrade list. %1: how many the party holds.
+ * @default Inventory x%1
+ *
+ * @param Experiment Commands
+ * @desc Experiment commands, separated by commas, in this order: add an item, combine, clear.
+ * @default Add Item, Combine, Clear
+ *
+ * @param Ingredients Label
+ * @desc Heading of the items chosen for an experiment. %1: chosen, %2: the most allowed.
+ * @default Ingredients (%1/%2):
+ *
+ * @param Salvage Returns Label
+ * @desc Heading of what salvaging gives back.
+ * @default Returns:
+ *
+ * @param No Salvage Text
+ * @desc Shown for a weapon or armor that gives nothing back.
+ * @default Cannot be salvaged.
+ *
+ * @param Crafter Label
+ * @desc Shown in place of the smith's name when nobody is crafting.
+ * @default Crafting
+ *
+ * @param Next Level Text
+ * @desc EXP the crafter needs for the next level. %1: the EXP.
+ * @default %1 to next
+ *
+ * @param Max Level Text
+ * @desc Shown in place of the EXP to the next level at the Max Craft Level.
+ * @default Max
+ *
+ * @param Quality Name Format
+ * @desc Name of a quality copy. %1: the item's name, %2: the tier's name.
+ * @default %1 (%2)
+ *
+ * @param Quantity Help Text
+ * @desc Help text while choosing how many to craft. %1: what limits the number.
+ * @default Craft how many? %1
+ *
+ * @param Limit Text
+ * @desc What limits the number of crafts. %1: the most that can be crafted, %2: what runs out first.
+ * @default Up to %1, limited by %2.
+ *
+ * @param Bag Space Name
+ * @desc The %2 of the Limit Text when the bag fills up first.
+ * @default bag space
+ *
+ * @param Upgrade Help Text
+ * @desc Help text while choosing what to upgrade. %1: the item's name.
+ * @default Upgrade which %1?
+ *
+ * @param Jobs Help Text
+ * @desc Help text on the Jobs tab.
+ * @default Choose a job to cancel it. Its materials are given back.
+ *
+ * @param Station Reason
+ * @desc Why a recipe cannot be crafted: it belongs to another station. %1: the station.
+ * @default Must be crafted at %1.
+ *
+ * @param Unknown Recipe Reason
+ * @desc Why a recipe cannot be crafted: it has not been learned.
+ * @default You have not learned this recipe.
+ *
+ * @param Required Item Reason
+ * @desc Why a recipe cannot be crafted: a Requirement item is missing. %1: the item's name.
+ * @default Requires %1.
+ *
+ * @param Required Level Reason
+ * @desc Why a recipe cannot be crafted: the crafting level is too low. %1: the level needed.
+ * @default Requires crafting level %1.
+ *
+ * @param Not Enough Reason
+ * @desc Why a recipe cannot be crafted: a material or cost runs out. %1: its name.
+ * @default Not enough %1.
+ *
+ * @param Upgrade Source Reason
+ * @desc Why an upgrade recipe cannot be crafted: nothing to upgrade. %1: the item's name.
+ * @default No %1 to upgrade.
+ *
+ * @param Bag Full Reason
+ * @desc Why a recipe cannot be crafted: the bag has no room. %1: the item's name.
+ * @default Cannot carry more %1.
+ *
+ * @param Success Text
+ * @desc Shown after a single successful craft.
+ * @default Crafted successfully!
+ *
+ * @param Multi Success Text
+ * @desc Shown when several crafts all succeed. %1: the number crafted.
+ * @default Crafted %1 successfully!
+ *
+ * @param Great Success Text
+ * @desc Shown after a single great success.
+ * @default Great success!
+ *
+ * @param Partial Success Text
+ * @desc Shown when only some of several crafts succeed. %1: crafted, %2: tried.
+ * @default Crafted %1 of %2
+ *
+ * @param Great Count Text
+ * @desc Added to the Partial Success Text when some crafts were great. %1: count.
+ * @default , %1 great
+ *
+ * @param Failed Count Text
+ * @desc Added to the Partial Success Text when some crafts failed. %1: count.
+ * @default , %1 failed
+ *
+ * @param Failure Text
+ * @desc Shown when a craft fails and the materials are lost.
+ * @default Crafting failed. The materials were lost.
+ *
+ * @param Refund Failure Text
+ * @desc Shown when a failed craft gives back part of the materials.
+ * @default Crafting failed. Some materials were recovered.
+ *
+ * @param Junk Failure Text
+ * @desc Shown when a failed craft gives a junk item. %1: the item's name.
+ * @default Crafting failed. Got %1 instead.
+ *
+ * @param Level Up Text
+ * @desc Added to the message when the crafting level goes up. %1: the new level.
+ * @default Crafting level %1!
+ *
+ * @param Discovered Text
+ * @desc Put before the result message when an experiment finds a recipe. %1: the item's name.
+ * @default Discovered %1!
+ *
+ * @param Experiment Failure Text
+ * @desc Shown when an experiment matches no recipe.
+ * @default Nothing came of it.
+ *
+ * @param Salvage Text
+ * @desc Shown after salvaging. %1: the item's name, %2: what came back.
+ * @default Salvaged %1: %2.
+ *
+ * @param Salvage Empty Text
+ * @desc Shown when salvaging gave nothing back. %1: the item's name.
+ * @default Salvaged %1, nothing was left.
+ *
+ * @param Job Started Text
+ * @desc Shown when a timed recipe starts. %1: the item's name, %2: how many, %3: the time.
+ * @default Started %1 x%2, ready in %3.
+ *
+ * @param Job Ready Text
+ * @desc Put before the result message when a timed recipe finishes. %1: the item's name.
+ * @default %1 is ready!
+ *
+ * @param Job Cancelled Text
+ * @desc Shown when a job is cancelled. %1: the item's name.
+ * @default Cancelled %1. Materials returned.
+ *
+ * @param Notification Duration
+ * @type number
+ * @min 1
+ * @desc How long a crafting message stays on screen, in frames (60 per second).
+ * @default 120
+ *
+ * @param Success SE
+ * @type file
+ * @dir audio/se/
+ * @require 1
+ * @desc Played when at least one craft succeeds. Empty: the system Shop sound.
+ * @default
+ *
+ * @param Failure SE
+ * @type file
+ * @dir audio/se/
+ * @require 1
+ * @desc Played when every craft fails. Empty: the system Buzzer sound.
+ * @default
+ *
  * @help
  * This plugin adds a crafting system to the game. Players can access the crafting menu from the main menu
  * and use materials in their inventory to craft new items.
@@ -16,11 +393,220 @@
  *   Result: [Item|Weapon|Armor] ID
  *   Material1: [Item|Weapon|Armor] ID, Quantity
  *   Material2: [Item|Weapon|Armor] ID, Quantity
+ *   MaterialN: ...
  *   Description: String
  *   Requirement: Item ID
- *   Cost: Quantity
+ *   Cost: Quantity [Gold|Item ID|Weapon ID|Armor ID|Variable ID]   (may repeat)
+ *   Yield: Quantity                       (optional)
+ *   Byproduct: [Item|Weapon|Armor] ID, Quantity   (optional, may repeat)
+ *   Success: Rate%                        (optional)
+ *   Success Scaling: [mhp|mmp|atk|def|mat|mdf|agi|luk] Rate%   (optional)
+ *   Great Success: Rate%[, [Item|Weapon|Armor] ID, Quantity]   (optional)
+ *   Failure: [Refund Rate%|[Item|Weapon|Armor] ID, Quantity|Nothing]   (optional)
+ *   Station: Name                         (optional)
+ *   Category: Name                        (optional)
+ *   Upgrade: [Weapon|Armor] ID            (optional)
+ *   Level: Number                         (optional)
+ *   Craft EXP: Number                     (optional)
+ *   Quality: Yes                          (optional)
+ *   Time: Seconds                         (optional)
  * </recipe>
  *
+ * A recipe may list any number of MaterialN lines, or none at all, in any
+ * order. Materials are used in the order of their numbers. If the same item
+ * appears on several lines, the party needs the combined quantity.
+ *
+ * Yield sets how many copies of the result one craft makes (default 1).
+ * Each Byproduct line adds another item the craft gives back, for example
+ * a Cursed Stone Shard when refining a Cursed Stone Core.
+ *
+ * Success rate:
+ * Crafts always succeed unless a Success line is given. Success Scaling adds
+ * the given percentage per point of the party's highest value of that stat,
+ * so "Success Scaling: luk 0.2%" adds 20% at 100 LUK. Actors, classes,
+ * equipment and states can raise the rate with the note tag
+ *   <Craft Success: +10%>
+ * and the party member with the best total bonus counts.
+ * On a failure the materials and cost are spent. "Failure: Refund 50%"
+ * gives back half of each material, rolling for the odd one out (a single
+ * material comes back half of the time); "Failure: Item 43, 1" gives a junk
+ * item instead. A successful craft then rolls for Great Success, which gives the
+ * listed item or, when none is listed, twice the normal yield.
+ * Rolls use CraftRandom; call CraftRandom.setSeed(n) to make them repeatable.
+ *
+ * Choosing a recipe opens a quantity picker. The maximum is the number of
+ * crafts the party's materials, gold and bag space allow, and the help window
+ * names whichever of these runs out first. Bag space counts the by-products
+ * too, and assumes every craft could be a great success.
+ *
+ * Upgrades:
+ * A recipe with an Upgrade line turns an existing weapon or armor into its
+ * result, on top of any materials. Choosing it asks which copy to upgrade:
+ * one from the inventory or one an actor is wearing. A worn copy is replaced
+ * by the result in the same actor's same slot, so nobody is left unarmed.
+ * Upgrades are made one at a time, and a failed upgrade leaves the source
+ * item alone.
+ *
+ * Costs:
+ * "Cost: 50" and "Cost: 50 Gold" spend the party's gold. "Cost: 3 Item 44"
+ * spends items, and "Cost: 10 Variable 3" lowers game variable 3 (for a
+ * currency like a spirit counter). A recipe may have several Cost lines and
+ * needs all of them. Each cost is shown with its icon and name: the gold
+ * icon and currency unit, the item's own icon and name, or the variable's
+ * name with the icon set in the Variable Icons parameter.
+ *
+ * Crafting level:
+ * Every craft, failed or not, gives crafting EXP: the recipe's Craft EXP
+ * line, or the Craft EXP parameter. A recipe with "Level: 5" can only be
+ * crafted from crafting level 5 on, and each level above a recipe's Level
+ * adds the Level Success Bonus to its success rate. In party mode the level
+ * is kept on $gameParty. In actor mode, actors (or their classes) with the
+ * note tag <Smith> keep their own level, and the first smith in the party
+ * does the crafting; without a smith the party's level is used. The level
+ * is shown at the top of the crafting scene.
+ *
+ * Quality:
+ * A weapon or armor recipe with "Quality: Yes" rolls a quality tier for each
+ * copy it makes, using the weights of the Quality Tiers parameter. Each
+ * crafting level above the recipe's Level pushes the roll toward the best
+ * tier by the Level Quality Bonus. A copy of any tier but the plain one is
+ * its own item, named like "Iron Sword (Fine)", with its parameters and
+ * price scaled by the tier. These items are added to the database when
+ * first made, with ids from 10000 up, and saved with the game, so the party,
+ * equip and shop screens treat them like any other item. They do not count as the plain item in
+ * recipes. The details window shows the range a recipe can roll.
+ *
+ * Recipe discovery:
+ * With Recipe Discovery on, a recipe has to be learned before it can be
+ * crafted. Unknown recipes are still listed, as "??????". Recipes are learned
+ * by result, so learning "Weapon 19" teaches every recipe that makes it.
+ * Known recipes are kept in $gameSystem and saved with the game.
+ *
+ * Recipes can be learned with the plugin command
+ *   Craft learn Weapon 19     # Learn the recipes that make Weapon 19
+ *   Craft forget Weapon 19    # Forget them again
+ * or by using an item with the note tag (the tag may repeat)
+ *   <teach recipe: Weapon 19>
+ * or, with Auto Learn on, when the party first holds every material.
+ *
+ * Categories and sorting:
+ * Recipes are listed under Items, Weapons, Armor or Key by what they make
+ * (renamed with Category Names, which "Craft open" then uses too).
+ * A "Category: Potions" line puts a recipe under its own tab instead. The
+ * last two tabs change the sort order (database order, name, craftable first
+ * or cost) and hide the recipes that cannot be crafted right now. The cost
+ * sort adds up every Cost line: gold as is, items at their database price
+ * (at least 1 each) and variables at 1 per point.
+ *
+ * Plugin commands:
+ *   Craft open                   # Open the crafting scene
+ *   Craft open Forge             # ...at a station
+ *   Craft open Weapons           # ...on a category tab
+ *   Craft canCraft Weapon 19 5   # Switch 5 = can Weapon 19 be crafted now
+ *   Craft count Weapon 19 6      # Variable 6 = how many can be crafted now
+ *   Craft force Weapon 19        # Give one crafted Weapon 19 for free
+ *   Craft enable                 # Allow crafting again
+ *   Craft disable                # Turn crafting off
+ *   Craft learn Weapon 19        # See Recipe discovery
+ *   Craft forget Weapon 19
+ * canCraft and count look at every recipe that makes the item and can be
+ * crafted where the event runs: station-free recipes, plus those of the
+ * calling event's or the map's station. force skips materials, costs and the success roll, and gives
+ * no crafting EXP. Crafting is available while it is not disabled and the
+ * Availability Variable (our is_craft_aviailbel?) is 1 or more. Otherwise
+ * the menu command is greyed out and "Craft open" does nothing.
+ *
+ * Script calls:
+ * CraftManager wraps the same logic for script calls and other plugins.
+ * Items are given as a type ('Item', 'Weapon' or 'Armor') and an ID.
+ *   CraftManager.open(name)             # Like "Craft open name"
+ *   CraftManager.isEnabled()            # Whether crafting is available
+ *   CraftManager.setEnabled(enabled)    # Like "Craft enable" / "disable"
+ *   CraftManager.recipes()              # Every parsed recipe
+ *   CraftManager.recipesFor(type, id)   # The recipes that make an item
+ *   CraftManager.canCraft(type, id)     # true if one can be crafted now
+ *   CraftManager.maxCraftable(type, id) # How many can be crafted now
+ *   CraftManager.craft(type, id, times) # Pay for and craft; returns the
+ *                                       # outcome { success, great, failure }
+ * canCraft, maxCraftable and craft only use station-free recipes, unless a
+ * station is passed last: CraftManager.craft('Weapon', 19, 1, 'Forge').
+ *   CraftManager.force(type, id, times) # Give the result for free
+ *   CraftManager.learn(type, id) / forget(type, id) / isKnown(type, id)
+ *
+ * Main menu:
+ * The Craft command is shown while the Menu Show Switch is ON, and can be
+ * chosen while crafting is available (see above), the Menu Enable Switch
+ * (our 制作 switch) is ON and the Menu Enable Eval is true. A locked command
+ * is greyed out and the Menu Locked Text appears under it.
+ * With YEP_MainMenuManager, place this plugin below it and the command is
+ * added as usual. Or give it its own Main Menu Manager entry:
+ *   Name:      "Craft"
+ *   Symbol:    craft
+ *   Show:      CraftManager.isMenuShown()
+ *   Enabled:   CraftManager.isMenuEnabled()
+ *   Main Bind: this.commandCraft.bind(this)
+ *
+ * Crafting stations:
+ * A recipe with a Station line can only be crafted at that station. Open the
+ * crafting scene at a station with the plugin command
+ *   Craft open Forge
+ * "Craft open" without a name uses the <Craft Station: Forge> note tag of the
+ * calling event, or else of the current map. The main menu Craft command
+ * only shows station-free recipes. Stations work alongside Requirement
+ * lines: a recipe needs both to be shown. Station recipes can only be
+ * crafted at their station, also through CraftManager.
+ *
+ * Experiment mode:
+ * The Experiment tab lets the player choose 2 to 4 items from the inventory
+ * (the same item may be chosen more than once) and combine them. If the
+ * chosen items are exactly the materials of a recipe (counting the Upgrade
+ * item), that recipe is crafted
+ * once with its normal quantities and is learned for good. Otherwise the
+ * Experiment Penalty applies.
+ *
+ * Salvage:
+ * The Salvage tab takes apart a weapon or armor from the inventory and gives
+ * back part of what its recipe used: the Salvage Rate of each material (and
+ * of the Upgrade item), divided by the recipe's Yield. Fractions are rolled,
+ * so 1 material at 50% comes back half the time. Equipped items are never
+ * offered. A weapon or armor can list a fixed return instead:
+ *   <salvage>
+ *   Item 8, 2
+ *   Item 9, 1
+ *   </salvage>
+ * An empty <salvage></salvage> block makes it impossible to salvage.
+ *
+ * Timed jobs:
+ * A recipe with "Time: 300" is not made on the spot. Confirming it spends the
+ * materials and costs and starts a job; the result arrives 300 seconds of
+ * map or battle time later, with a toast in whatever scene is open. Success
+ * and quality are rolled when the job finishes. The Jobs tab lists the running
+ * jobs, and choosing one cancels it and gives everything back. A job whose
+ * recipe was removed from the database cannot be cancelled. Jobs are
+ * saved with the game. Upgrade recipes and experiments ignore Time.
+ * Jobs run on the timers of the Multi Timers plugin (timedelay.js), which
+ * must be on and above this plugin; without it timed recipes finish at once.
+ *
+ * Recipe validation:
+ * When the database is loaded, every recipe is checked for unknown types,
+ * IDs that do not exist, a Result that does not match the entry holding the
+ * tag, missing </recipe> tags and Cost lines that cannot be read. Problems
+ * are listed in the console (F8). With Strict Validation on, a playtest stops
+ * at boot instead.
+ *
+ * Text and layout:
+ * Every label, command name, help text and message of the crafting scene,
+ * how long messages stay up and the craft sounds are parameters. Lists of
+ * names, such as Mode Names, are separated by commas; a name left out keeps
+ * its default. Messages are shown as toasts by toast_system.js, which must
+ * be on and above this plugin. In the text parameters %1, %2 and %3 stand
+ * for the numbers or names listed in their descriptions. Details Height is
+ * the space under the recipe list: the details window fills it, less a 10
+ * pixel gap. Heights under 120 are raised to 120, and the space shrinks when
+ * the screen is too short for four rows of recipes above it. The Currency
+ * Name replaces the database's currency unit (our "Fairy Mass") on gold
+ * costs only.
+ *
  * Example:
  <recipe>
 *Result: Item 1
@@ -32,15 +618,113 @@
 </recipe>
  */(function() {
     window.Scene_Craft = Scene_Craft;
-    var parameters = PluginManager.parameters('CraftingSystem');
+    var parameters = PluginManager.parameters('craft_system');
+    // Number parameters keep an explicit 0 instead of falling back.
+    function numberParameter(name, fallback) {
+        var value = parameters[name];
+        return value === undefined || value === '' ? fallback : Number(value);
+    }
+    // Comma-separated names; a missing or empty one keeps its fallback.
+    function listParameter(name, fallback) {
+        var values = String(parameters[name] || '').split(',');
+        return fallback.split(',').map(function(value, i) {
+            return (values[i] || '').trim() || value.trim();
+        });
+    }
     var craftMenuName = String(parameters['Craft Menu Name'] || 'Craft');
-
-    // Add a new "Craft" command in the main menu
-    var _Window_MenuCommand_addOriginalCommands = Window_MenuCommand.prototype.addOriginalCommands;
-    Window_MenuCommand.prototype.addOriginalCommands = function() {
-        _Window_MenuCommand_addOriginalCommands.call(this);
-        this.addCommand(craftMenuName, 'craft', true);
-    };
+    var menuShowSwitch = numberParameter('Menu Show Switch', 0);
+    var menuEnableSwitch = numberParameter('Menu Enable Switch', 7);
+    var menuEnableEval = String(parameters['Menu Enable Eval'] || '');
+    var menuIcon = numberParameter('Menu Icon', 0);
+    var menuPosition = numberParameter('Menu Position', -1);
+    var menuLockedText = String(parameters['Menu Locked Text'] || 'Crafting has not been unlocked yet.');
+    var recipeDiscovery = String(parameters['Recipe Discovery'] || 'false') === 'true';
+    var autoLearnRecipes = String(parameters['Auto Learn'] || 'false') === 'true';
+    var unknownRecipeName = String(parameters['Unknown Recipe Name'] || '??????');
+    var experimentPenalty = String(parameters['Experiment Penalty'] || 'consume');
+    var availabilityVariable = numberParameter('Availability Variable', 2);
+    var salvageRate = numberParameter('Salvage Rate', 50) / 100;
+    var goldCostIcon = numberParameter('Gold Icon', 0);
+    var proficiencyMode = String(parameters['Proficiency Mode'] || 'party');
+    var maxCraftLevel = numberParameter('Max Craft Level', 10);
+    var craftLevelExp = numberParameter('Level EXP', 100);
+    var defaultCraftExp = numberParameter('Craft EXP', 10);
+    var levelSuccessBonus = numberParameter('Level Success Bonus', 2) / 100;
+    var qualityTiers = String(parameters['Quality Tiers'] || 'Crude:80:25, Normal:100:50, Fine:115:20, Masterwork:130:5')
+        .split(',').map(function(text) {
+            var parts = text.trim().split(':');
+            return { name: parts[0], rate: Number(parts[1] || 100) / 100, weight: Number(parts[2] || 0) };
+        }).filter(function(tier) {
+            return tier.name && tier.weight > 0;
+        });
+    var levelQualityBonus = numberParameter('Level Quality Bonus', 2) / 100;
+    var detailsHeight = Math.max(numberParameter('Details Height', 350), 120);
+    var listColumns = Math.max(numberParameter('List Columns', 3), 1);
+    var descriptionLabel = String(parameters['Description Label'] || 'Description:');
+    var materialsLabel = String(parameters['Materials Label'] || 'Materials:');
+    var producesLabel = String(parameters['Produces Label'] || 'Produces:');
+    var costLabel = String(parameters['Cost Label'] || 'Cost:');
+    var currencyName = String(parameters['Currency Name'] || '');
+    var modeNames = listParameter('Mode Names', 'Recipes, Experiment, Salvage, Jobs');
+    var categoryNames = listParameter('Category Names', 'Items, Weapons, Armor, Key');
+    var sortNames = listParameter('Sort Names', 'Sort: Default, Sort: Name, Sort: Craftable, Sort: Cost');
+    var showAllText = String(parameters['Show All Text'] || 'Show All');
+    var craftableOnlyText = String(parameters['Craftable Only Text'] || 'Craftable Only');
+    var paramLabels = listParameter('Parameter Labels', 'Attack, Defense, M.Attack, M.Defense, Agility, Luck');
+    var materialText = String(parameters['Material Text'] || 'Material %1: %2');
+    var upgradeText = String(parameters['Upgrade Text'] || 'Upgrades: %1');
+    var equipCompareText = String(parameters['Equip Compare Text'] || 'Equip (%1):');
+    var successChanceText = String(parameters['Success Chance Text'] || 'Success: %1%');
+    var greatChanceText = String(parameters['Great Chance Text'] || 'Great Success: %1%');
+    var timeText = String(parameters['Time Text'] || 'Time: %1');
+    var inventorySourceText = String(parameters['Inventory Source Text'] || 'Inventory x%1');
+    var experimentCommands = listParameter('Experiment Commands', 'Add Item, Combine, Clear');
+    var ingredientsLabel = String(parameters['Ingredients Label'] || 'Ingredients (%1/%2):');
+    var salvageReturnsLabel = String(parameters['Salvage Returns Label'] || 'Returns:');
+    var noSalvageText = String(parameters['No Salvage Text'] || 'Cannot be salvaged.');
+    var crafterLabel = String(parameters['Crafter Label'] || 'Crafting');
+    var nextLevelText = String(parameters['Next Level Text'] || '%1 to next');
+    var maxLevelText = String(parameters['Max Level Text'] || 'Max');
+    var qualityNameFormat = String(parameters['Quality Name Format'] || '%1 (%2)');
+    var quantityHelpText = String(parameters['Quantity Help Text'] || 'Craft how many? %1');
+    var limitText = String(parameters['Limit Text'] || 'Up to %1, limited by %2.');
+    var bagSpaceName = String(parameters['Bag Space Name'] || 'bag space');
+    var upgradeHelpText = String(parameters['Upgrade Help Text'] || 'Upgrade which %1?');
+    var jobsHelpText = String(parameters['Jobs Help Text'] || 'Choose a job to cancel it. Its materials are given back.');
+    var stationReason = String(parameters['Station Reason'] || 'Must be crafted at %1.');
+    var unknownRecipeReason = String(parameters['Unknown Recipe Reason'] || 'You have not learned this recipe.');
+    var requiredItemReason = String(parameters['Required Item Reason'] || 'Requires %1.');
+    var requiredLevelReason = String(parameters['Required Level Reason'] || 'Requires crafting level %1.');
+    var notEnoughReason = String(parameters['Not Enough Reason'] || 'Not enough %1.');
+    var upgradeSourceReason = String(parameters['Upgrade Source Reason'] || 'No %1 to upgrade.');
+    var bagFullReason = String(parameters['Bag Full Reason'] || 'Cannot carry more %1.');
+    var successText = String(parameters['Success Text'] || 'Crafted successfully!');
+    var multiSuccessText = String(parameters['Multi Success Text'] || 'Crafted %1 successfully!');
+    var greatSuccessText = String(parameters['Great Success Text'] || 'Great success!');
+    var partialSuccessText = String(parameters['Partial Success Text'] || 'Crafted %1 of %2');
+    var greatCountText = String(parameters['Great Count Text'] || ', %1 great');
+    var failedCountText = String(parameters['Failed Count Text'] || ', %1 failed');
+    var failureText = String(parameters['Failure Text'] || 'Crafting failed. The materials were lost.');
+    var refundFailureText = String(parameters['Refund Failure Text'] || 'Crafting failed. Some materials were recovered.');
+    var junkFailureText = String(parameters['Junk Failure Text'] || 'Crafting failed. Got %1 instead.');
+    var levelUpText = String(parameters['Level Up Text'] || 'Crafting level %1!');
+    var discoveredText = String(parameters['Discovered Text'] || 'Discovered %1!');
+    var experimentFailureText = String(parameters['Experiment Failure Text'] || 'Nothing came of it.');
+    var salvageText = String(parameters['Salvage Text'] || 'Salvaged %1: %2.');
+    var salvageEmptyText = String(parameters['Salvage Empty Text'] || 'Salvaged %1, nothing was left.');
+    var jobStartedText = String(parameters['Job Started Text'] || 'Started %1 x%2, ready in %3.');
+    var jobReadyText = String(parameters['Job Ready Text'] || '%1 is ready!');
+    var jobCancelledText = String(parameters['Job Cancelled Text'] || 'Cancelled %1. Materials returned.');
+    var notificationDuration = Math.max(numberParameter('Notification Duration', 120), 1);
+    var successSe = String(parameters['Success SE'] || '');
+    var failureSe = String(parameters['Failure SE'] || '');
+    var variableCostIcons = {};
+    String(parameters['Variable Icons'] || '').split(/\s+/).forEach(function(pair) {
+        var match = /^(\d+):(\d+)$/.exec(pair);
+        if (match) {
+            variableCostIcons[match[1]] = Number(match[2]);
+        }
+    });
 
     // Define the crafting scene
     function Scene_Craft() {
@@ -52,89 +736,269 @@
     
     Scene_Craft.prototype.initialize = function() {
         Scene_MenuBase.prototype.initialize.call(this);
+        this._station = '';
+        this._category = '';
+    };
+
+    // Called through SceneManager.prepareNextScene with the station to open
+    // at and, optionally, the category tab to start on.
+    Scene_Craft.prototype.prepare = function(station, category) {
+        this._station = station || '';
+        this._category = category || '';
     };
     
     Scene_Craft.prototype.create = function() {
         Scene_MenuBase.prototype.create.call(this);
         this.createHelpWindow();
+        this.createModeWindow();
+        this.createProficiencyWindow();
+        this.createCategoryWindow();
         this.createCraftWindow();
         this.createDetailsWindow();
-        this.createNotificationWindow();
+        this.createExperimentWindows();
+        this.createSalvageWindows();
+        this.createJobWindow();
+        this.createNumberWindow();
+        this.createUpgradeWindow();
+        this.changeMode(this._modeWindow.currentSymbol());
+        if (this._category) {
+            this._modeWindow.deactivate();
+            this._categoryWindow.selectExt(this._category);
+            this.onModeRecipes();
+        }
+    };
+
+    // Tabs along the top: the recipe list and the free-form experiment mode
+    Scene_Craft.prototype.createModeWindow = function() {
+        this._modeWindow = new Window_CraftMode(0, this._helpWindow.height);
+        this._modeWindow.setHandler('recipes', this.onModeRecipes.bind(this));
+        this._modeWindow.setHandler('experiment', this.onModeExperiment.bind(this));
+        this._modeWindow.setHandler('salvage', this.onModeSalvage.bind(this));
+        this._modeWindow.setHandler('jobs', this.onModeJobs.bind(this));
+        this._modeWindow.setHandler('cancel', this.popScene.bind(this));
+        this.addWindow(this._modeWindow);
     };
     
+    // Crafting level, to the right of the mode tabs
+    Scene_Craft.prototype.createProficiencyWindow = function() {
+        var x = this._modeWindow.x + this._modeWindow.width;
+        this._proficiencyWindow = new Window_CraftProficiency(x, this._modeWindow.y, Graphics.boxWidth - x, this._modeWindow.height);
+        this.addWindow(this._proficiencyWindow);
+    };
+
+    // Recipe categories, plus the sort and hide toggles
+    Scene_Craft.prototype.createCategoryWindow = function() {
+        this._categoryWindow = new Window_CraftCategory(0, this._modeWindow.y + this._modeWindow.height);
+        this._categoryWindow.setHandler('category', this.onCategoryOk.bind(this));
+        this._categoryWindow.setHandler('sort', this.onCategorySort.bind(this));
+        this._categoryWindow.setHandler('hide', this.onCategoryHide.bind(this));
+        this._categoryWindow.setHandler('cancel', this.onCategoryCancel.bind(this));
+        this._categoryWindow.deactivate();
+        this.addWindow(this._categoryWindow);
+    };
+
     Scene_Craft.prototype.createCraftWindow = function() {
-        var craftWindowHeight = Graphics.boxHeight - this._helpWindow.height - 350;  
-        this._craftWindow = new Window_CraftList(0, this._helpWindow.height, Graphics.boxWidth, craftWindowHeight);
+        var y = this._categoryWindow.y + this._categoryWindow.height;
+        var craftWindowHeight = Graphics.boxHeight - y - this.detailsAreaHeight();
+        this._craftWindow = new Window_CraftList(0, y, Graphics.boxWidth, craftWindowHeight);
+        this._craftWindow.setStation(this._station);
         this._craftWindow.setHandler('ok', this.onCraftOk.bind(this));
         this._craftWindow.setHandler('cancel', this.onCraftCancel.bind(this));
         this._craftWindow.setHandler('select', this.onCraftSelect.bind(this));
         this.addWindow(this._craftWindow);
-        this._craftWindow.activate();   
+        this._craftWindow.deactivate();   
         this._craftWindow.select(0);   
+        this._categoryWindow.setCraftWindow(this._craftWindow);
+    };
+
+    Scene_Craft.prototype.update = function() {
+        Scene_MenuBase.prototype.update.call(this);
+        if (this._modeWindow.active && this._modeWindow.currentSymbol() !== this._mode) {
+            this.changeMode(this._modeWindow.currentSymbol());
+        }
+    };
+
+    // Shows the windows that belong to the tab under the cursor.
+    Scene_Craft.prototype.changeMode = function(mode) {
+        this._mode = mode;
+        var recipes = mode === 'recipes';
+        var experiment = mode === 'experiment';
+        var salvage = mode === 'salvage';
+        var jobs = mode === 'jobs';
+        this._categoryWindow.visible = recipes;
+        this._craftWindow.visible = recipes;
+        this._detailsWindow.visible = recipes;
+        this._ingredientWindow.visible = experiment;
+        this._experimentWindow.visible = experiment;
+        this._slotWindow.visible = experiment;
+        this._salvageWindow.visible = salvage;
+        this._salvageInfoWindow.visible = salvage;
+        this._jobWindow.visible = jobs;
+        this._helpWindow.clear();
+    };
+
+    Scene_Craft.prototype.onModeRecipes = function() {
+        this._craftWindow.refresh();
+        this._categoryWindow.activate();
+    };
+
+    Scene_Craft.prototype.onCategoryOk = function() {
+        this._craftWindow.activate();
+    };
+
+    Scene_Craft.prototype.onCategorySort = function() {
+        this._craftWindow.cycleSortMode();
+        this._categoryWindow.refresh();
+        this._categoryWindow.activate();
+    };
+
+    Scene_Craft.prototype.onCategoryHide = function() {
+        this._craftWindow.toggleHideUncraftable();
+        this._categoryWindow.refresh();
+        this._categoryWindow.activate();
+    };
+
+    Scene_Craft.prototype.onCategoryCancel = function() {
+        this._modeWindow.activate();
     };
     
+    // Details Height, less whatever the recipe list needs to show four rows.
+    Scene_Craft.prototype.detailsAreaHeight = function() {
+        var listTop = this._categoryWindow.y + this._categoryWindow.height;
+        var listHeight = Window_Base.prototype.fittingHeight(4);
+        return Math.min(detailsHeight, Graphics.boxHeight - listTop - listHeight);
+    };
+
     Scene_Craft.prototype.createDetailsWindow = function() {
-        this._detailsWindow = new Window_CraftDetails(0, Graphics.boxHeight - 350, Graphics.boxWidth, 340);
+        var height = this.detailsAreaHeight();
+        this._detailsWindow = new Window_CraftDetails(0, Graphics.boxHeight - height, Graphics.boxWidth, height - 10);
         this.addWindow(this._detailsWindow);
     };
     
+    // Quantity picker, shown in place of the details window
+    Scene_Craft.prototype.createNumberWindow = function() {
+        var width = Window_ShopNumber.prototype.windowWidth();
+        var x = (Graphics.boxWidth - width) / 2;
+        this._numberWindow = new Window_CraftNumber(x, this._detailsWindow.y, this._detailsWindow.height);
+        this._numberWindow.hide();
+        this._numberWindow.setHandler('ok', this.onNumberOk.bind(this));
+        this._numberWindow.setHandler('cancel', this.onNumberCancel.bind(this));
+        this.addWindow(this._numberWindow);
+    };
+    
+    // Picks which copy of the item an upgrade recipe works on
+    Scene_Craft.prototype.createUpgradeWindow = function() {
+        var width = Graphics.boxWidth / 2;
+        var x = (Graphics.boxWidth - width) / 2;
+        this._upgradeWindow = new Window_CraftUpgrade(x, this._detailsWindow.y, width, this._detailsWindow.height);
+        this._upgradeWindow.hide();
+        this._upgradeWindow.setHandler('ok', this.onUpgradeOk.bind(this));
+        this._upgradeWindow.setHandler('cancel', this.onUpgradeCancel.bind(this));
+        this.addWindow(this._upgradeWindow);
+    };
+
     Scene_Craft.prototype.onCraftSelect = function() {
   
     var selectedItem = this._craftWindow.item();
-    if (selectedItem && this._detailsWindow) {
-        this._detailsWindow.setRecipe(selectedItem);   
+    if (this._detailsWindow) {
+        this._detailsWindow.setRecipe(selectedItem || null);   
     }
 };
 
 Scene_Craft.prototype.getFailureReason = function(recipe) {
-    if (!recipe) {
-        return 'Invalid recipe.';
-    }
-    if (!recipe.materials) {
-        return 'Missing materials.';
-    }
+    var limit = this.craftLimit(recipe);
+    return limit.max > 0 ? limitText.format(limit.max, limit.source) : limit.reason;
+};
+
+    // Experiments pass ignoreKnown, since they are how unknown recipes are found.
+    Scene_Craft.prototype.craftLimit = function(recipe, ignoreKnown) {
+        return recipeCraftLimit(recipe, ignoreKnown, this._station);
+    };
+
+    Scene_Craft.prototype.maxCraftable = function(recipe) {
+        return this.craftLimit(recipe).max;
+    };
 
-    // Check materials
-    for (var i = 0; i < recipe.materials.length; i++) {
-        var material = recipe.materials[i];
-        var item = this.getItem(material.type, material.id);
-        if ($gameParty.numItems(item) < material.quantity) {
-            return `Not enough ${item.name}.`;
+    Scene_Craft.prototype.onCraftOk = function() {
+        var recipe = this._craftWindow.item();
+        var limit = this.craftLimit(recipe);
+        if (limit.max > 0 && recipe.upgrade) {
+            this.startUpgrade(recipe);
+        } else if (limit.max > 0) {
+            var resultItem = this.getItem(recipe.result.type, recipe.result.id);
+            this._detailsWindow.hide();
+            this._numberWindow.setup(resultItem, limit.max, recipe.costs);
+            this._numberWindow.show();
+            this._numberWindow.activate();
+            this._helpWindow.setText(quantityHelpText.format(this.getFailureReason(recipe)));
+        } else {
+            this.showNotification(limit.reason);
+            SoundManager.playBuzzer();
+            this._craftWindow.activate();
         }
-    }
+    };
 
-    // Check requirement
-    if (recipe.requirement) {
-        var requiredItem = this.getItem(recipe.requirement.type, recipe.requirement.id);
-        if (!$gameParty.hasItem(requiredItem)) {
-            return `Requires ${requiredItem.name}.`;
+    Scene_Craft.prototype.onNumberOk = function() {
+        var recipe = this._craftWindow.item();
+        var times = this._numberWindow.number();
+        if (isTimedRecipe(recipe)) {
+            $gameParty.startCraftJob(recipe, times);
+            this.showNotification(jobStartedText.format(getDataItem(recipe.result.type, recipe.result.id).name, times, formatCraftTime(recipe.time)));
+        } else {
+            var outcome = this.doCraft(recipe, times);
+            this.showNotification(this.craftOutcomeMessage(recipe, outcome));
         }
-    }
+        this.endNumberInput();
+        this._craftWindow.refresh();
+        this._detailsWindow.refresh();
+    };
 
-    // Check cost
-    if (recipe.cost > 0 && $gameParty.gold() < recipe.cost) {
-        return 'Not enough gold.';
-    }
+    Scene_Craft.prototype.onNumberCancel = function() {
+        SoundManager.playCancel();
+        this.endNumberInput();
+    };
 
-    return 'Cannot craft this item.';
-};
-    
-Scene_Craft.prototype.onCraftOk = function() {
-    var recipe = this._craftWindow.item();
-    if (recipe && this.canCraft(recipe)) {
-        this.doCraft(recipe);
-        this.showNotification(`Crafted successfully!`);  
-        this._craftWindow.refresh();  
-    } else {
-        this.showNotification(this.getFailureReason(recipe));
-        SoundManager.playBuzzer();  
-    }
-    this._craftWindow.activate();  
-};
+    Scene_Craft.prototype.startUpgrade = function(recipe) {
+        var source = this.getItem(recipe.upgrade.type, recipe.upgrade.id);
+        this._detailsWindow.hide();
+        this._upgradeWindow.setRecipe(recipe);
+        this._upgradeWindow.show();
+        this._upgradeWindow.activate();
+        this._upgradeWindow.select(0);
+        this._helpWindow.setText(upgradeHelpText.format(source.name));
+    };
+
+    Scene_Craft.prototype.onUpgradeOk = function() {
+        var recipe = this._craftWindow.item();
+        var outcome = this.doCraft(recipe, 1, this._upgradeWindow.source());
+        this.showNotification(this.craftOutcomeMessage(recipe, outcome));
+        this.endUpgrade();
+        this._craftWindow.refresh();
+        this._detailsWindow.refresh();
+    };
+
+    Scene_Craft.prototype.onUpgradeCancel = function() {
+        this.endUpgrade();
+    };
+
+    Scene_Craft.prototype.endUpgrade = function() {
+        this._upgradeWindow.hide();
+        this._upgradeWindow.deactivate();
+        this._detailsWindow.show();
+        this._helpWindow.clear();
+        this._craftWindow.activate();
+    };
 
+    Scene_Craft.prototype.endNumberInput = function() {
+        this._numberWindow.hide();
+        this._numberWindow.deactivate();
+        this._detailsWindow.show();
+        this._helpWindow.clear();
+        this._craftWindow.activate();
+    };
     
     Scene_Craft.prototype.onCraftCancel = function() {
-        this.popScene();   
+        this._categoryWindow.activate();
     };
     
     Scene_Craft.prototype.getItem = function(type, id) {
@@ -149,54 +1013,170 @@ Scene_Craft.prototype.onCraftOk = function() {
     };
     
     Scene_Craft.prototype.canCraft = function(recipe) {
+        return this.maxCraftable(recipe) > 0;
+    };
+
+    // Crafts the recipe the given number of times in one go. Materials and
+    // cost are spent up front, then each craft rolls for its outcome.
+    // Upgrade recipes take the source ({ actor, slotId }, or the inventory
+    // when actor is null) and always craft once.
+    Scene_Craft.prototype.doCraft = function(recipe, times, source) {
+        var outcome = craftRecipe(recipe, times, source);
+        if (this._proficiencyWindow) {
+            this._proficiencyWindow.refresh();
+        }
+        return outcome;
+    };
+
+    Scene_Craft.prototype.gainProducts = function(products) {
+        gainCraftProducts(products);
+    };
+
+    Scene_Craft.prototype.craftOutcomeMessage = function(recipe, outcome) {
+        return craftOutcomeMessage(recipe, outcome);
+    };
+
+    // Spends the materials and costs, then crafts. Returns the outcome counts.
+    function craftRecipe(recipe, times, source) {
+        var outcome = { success: 0, great: 0, failure: 0 };
         if (!recipe || !recipe.materials) {
-            return false;
+            console.error("Invalid recipe or missing materials:", recipe);
+            return outcome;
         }
-    
-        // Check if the player has enough of each material
-        for (var i = 0; i < recipe.materials.length; i++) {
-            var material = recipe.materials[i];
-            var item = this.getItem(material.type, material.id);
-            console.log(`Checking material: ${material.type} ID: ${material.id} Quantity: ${material.quantity}`);
-            console.log(`Available: ${$gameParty.numItems(item)}`);
-            // Check if the player has enough of the material
-            if ($gameParty.numItems(item) < material.quantity) {
-                return false; // Not enough material
+        if (recipe.upgrade) {
+            source = source || upgradeSources(recipe)[0];
+            if (!source) {
+                console.error("Nothing to upgrade for recipe:", recipe);
+                return outcome;
             }
         }
-    
-        // Check if the player has the required item (if any)
-        if (recipe.requirement) {
-            var requiredItem = this.getItem(recipe.requirement.type, recipe.requirement.id);
-            if (!$gameParty.hasItem(requiredItem)) {
-                return false;
+        times = recipe.upgrade ? 1 : times || 1;
+        payRecipe(recipe, times);
+        return resolveCraft(recipe, times, source);
+    }
+
+    function payRecipe(recipe, times) {
+        recipe.materials.forEach(function(material) {
+            $gameParty.loseItem(getDataItem(material.type, material.id), material.quantity * times);
+        });
+        recipe.costs.forEach(function(cost) {
+            payCraftCost(cost, times);
+        });
+    }
+
+    // Rolls each craft of an already paid recipe and hands out the products
+    // and crafting EXP.
+    function resolveCraft(recipe, times, source) {
+        var outcome = { success: 0, great: 0, failure: 0, refunded: 0 };
+        var rate = craftSuccessRate(recipe);
+        for (var n = 0; n < times; n++) {
+            if (CraftRandom.next() >= rate) {
+                var refund = recipeFailureProducts(recipe);
+                outcome.failure++;
+                outcome.refunded += refund.length > 0 ? 1 : 0;
+                gainCraftProducts(refund);
+            } else if (recipe.greatRate > 0 && CraftRandom.next() < recipe.greatRate) {
+                outcome.great++;
+                gainCraftProducts(upgradeCraftSource(recipe, source, rollQualityProducts(recipe, recipeGreatProducts(recipe))));
+            } else {
+                outcome.success++;
+                gainCraftProducts(upgradeCraftSource(recipe, source, rollQualityProducts(recipe, recipeProducts(recipe))));
             }
         }
-        if (recipe.cost > 0 && $gameParty.gold() < recipe.cost) {
-            return false;
+        playCraftSound(outcome.failure < times);
+        var oldLevel = $gameParty.craftLevel();
+        $gameParty.gainCraftExp(recipeCraftExp(recipe) * times);
+        outcome.levelUp = $gameParty.craftLevel() > oldLevel ? $gameParty.craftLevel() : 0;
+        return outcome;
+    }
+
+    // Uses up the source item of an upgrade. A worn source is swapped for the
+    // first product in place when the actor can wear it there; otherwise the
+    // slot is emptied and everything goes to the bag. Returns the products
+    // still to be gained.
+    function upgradeCraftSource(recipe, source, products) {
+        if (!recipe.upgrade) {
+            return products;
         }
-        return true;
-    };
-    
-    
-    
-    Scene_Craft.prototype.doCraft = function(recipe) {
-        if (!recipe || !recipe.materials) {
-            console.error("Invalid recipe or missing materials:", recipe);
-            return;
+        var actor = source.actor;
+        if (!actor) {
+            $gameParty.loseItem(getDataItem(recipe.upgrade.type, recipe.upgrade.id), 1);
+            return products;
         }
-        for (var i = 0; i < recipe.materials.length; i++) {
-            var material = recipe.materials[i];
-            var item = this.getItem(material.type, material.id);
-            $gameParty.loseItem(item, material.quantity);
+        var first = products[0];
+        var item = getDataItem(first.type, first.id);
+        if (item && actor.equipSlots()[source.slotId] === item.etypeId && actor.canEquip(item)) {
+            actor.forceChangeEquip(source.slotId, item);
+            var rest = products.slice(1);
+            if (first.quantity > 1) {
+                rest.unshift({ type: first.type, id: first.id, quantity: first.quantity - 1 });
+            }
+            return rest;
         }
-        var resultItem = this.getItem(recipe.result.type, recipe.result.id);
-        $gameParty.gainItem(resultItem, 1);
-        if (recipe.cost > 0) {
-            $gameParty.loseGold(recipe.cost);
+        actor.forceChangeEquip(source.slotId, null);
+        return products;
+    }
+
+    function gainCraftProducts(products) {
+        products.forEach(function(product) {
+            $gameParty.gainItem(getDataItem(product.type, product.id), product.quantity);
+        });
+    }
+
+    function craftOutcomeMessage(recipe, outcome) {
+        var message = craftResultMessage(recipe, outcome);
+        if (outcome.levelUp) {
+            message += ' ' + levelUpText.format(outcome.levelUp);
         }
-        SoundManager.playShop();
-    };
+        return message;
+    }
+
+    function craftResultMessage(recipe, outcome) {
+        var total = outcome.success + outcome.great + outcome.failure;
+        if (total === 1) {
+            if (outcome.great) {
+                return greatSuccessText;
+            } else if (outcome.failure) {
+                return craftFailureMessage(recipe, outcome);
+            }
+            return successText;
+        }
+        if (outcome.great === 0 && outcome.failure === 0) {
+            return multiSuccessText.format(total);
+        }
+        var message = partialSuccessText.format(outcome.success + outcome.great, total);
+        if (outcome.great > 0) {
+            message += greatCountText.format(outcome.great);
+        }
+        if (outcome.failure > 0) {
+            message += failedCountText.format(outcome.failure);
+        }
+        return message + '.';
+    }
+
+    // The refund text only shows when something actually came back.
+    function craftFailureMessage(recipe, outcome) {
+        var failure = recipe.failure;
+        if (failure && failure.refund > 0) {
+            return outcome.refunded > 0 ? refundFailureText : failureText;
+        } else if (failure && failure.item) {
+            var junk = getDataItem(failure.item.type, failure.item.id);
+            return junkFailureText.format(junk ? junk.name : 'something');
+        }
+        return failureText;
+    }
+
+    // The Success SE or Failure SE, or the system sound standing in for it.
+    function playCraftSound(success) {
+        var name = success ? successSe : failureSe;
+        if (name) {
+            AudioManager.playSe({ name: name, volume: 90, pitch: 100, pan: 0 });
+        } else if (success) {
+            SoundManager.playShop();
+        } else {
+            SoundManager.playBuzzer();
+        }
+    }
 
     // Define the window for crafting recipes
     function Window_CraftList() {
@@ -209,8 +1189,50 @@ Scene_Craft.prototype.onCraftOk = function() {
     Window_CraftList.prototype.initialize = function(x, y, width, height) {
         Window_Selectable.prototype.initialize.call(this, x, y, width, height);
         this._rowHeight = this.lineHeight(); 
-        this._itemsPerRow = 3;
+        this._itemsPerRow = listColumns;
         this._data = [];
+        this._station = '';
+        this._category = '';
+        this._sortMode = 'default';
+        this._hideUncraftable = false;
+        this.refresh();
+    };
+
+    Window_CraftList.prototype.setCategory = function(category) {
+        if (this._category !== category) {
+            this._category = category;
+            this.refresh();
+            this.setTopRow(0);
+            this.select(0);
+        }
+    };
+
+    // Database order, then by name, craftable first, and by cost
+    Window_CraftList.sortModes = ['default', 'name', 'craftable', 'cost'];
+
+    Window_CraftList.prototype.sortMode = function() {
+        return this._sortMode;
+    };
+
+    Window_CraftList.prototype.cycleSortMode = function() {
+        var modes = Window_CraftList.sortModes;
+        this._sortMode = modes[(modes.indexOf(this._sortMode) + 1) % modes.length];
+        this.refresh();
+        this.select(0);
+    };
+
+    Window_CraftList.prototype.isHidingUncraftable = function() {
+        return this._hideUncraftable;
+    };
+
+    Window_CraftList.prototype.toggleHideUncraftable = function() {
+        this._hideUncraftable = !this._hideUncraftable;
+        this.refresh();
+        this.select(0);
+    };
+
+    Window_CraftList.prototype.setStation = function(station) {
+        this._station = station || '';
         this.refresh();
     };
     
@@ -309,21 +1331,51 @@ Scene_Craft.prototype.onCraftOk = function() {
    
   
     Window_CraftList.prototype.loadRecipes = function() {
-        var recipes = [];
-        $dataItems.concat($dataWeapons, $dataArmors).forEach(function(item) {
-            if (item && item.note) {
-                var itemRecipes = this.parseRecipes(item.note);
-                itemRecipes.forEach(function(recipe) {
-                    if (this.canDisplayRecipe(recipe)) {
-                        recipes.push(recipe);
-                    }
-                }, this);
+        var recipes = allRecipes().filter(function(recipe) {
+            if (this._category && recipeCategory(recipe) !== this._category) {
+                return false;
+            }
+            if (this._hideUncraftable && recipeCraftLimit(recipe, false, this._station).max === 0) {
+                return false;
             }
+            return this.canDisplayRecipe(recipe);
         }, this);
-        return recipes;
+        return this.sortRecipes(recipes);
+    };
+
+    Window_CraftList.prototype.sortRecipes = function(recipes) {
+        var order = recipes.slice();
+        var compare = null;
+        if (this._sortMode === 'name') {
+            compare = function(a, b) {
+                var nameA = isRecipeKnown(a) ? getDataItem(a.result.type, a.result.id).name : unknownRecipeName;
+                var nameB = isRecipeKnown(b) ? getDataItem(b.result.type, b.result.id).name : unknownRecipeName;
+                return nameA.localeCompare(nameB);
+            };
+        } else if (this._sortMode === 'craftable') {
+            var station = this._station;
+            compare = function(a, b) {
+                return (recipeCraftLimit(b, false, station).max > 0 ? 1 : 0) -
+                    (recipeCraftLimit(a, false, station).max > 0 ? 1 : 0);
+            };
+        } else if (this._sortMode === 'cost') {
+            compare = function(a, b) {
+                return recipeCostValue(a) - recipeCostValue(b);
+            };
+        }
+        if (compare) {
+            // Array.sort is not stable everywhere, so ties keep database order here
+            order.sort(function(a, b) {
+                return compare(a, b) || recipes.indexOf(a) - recipes.indexOf(b);
+            });
+        }
+        return order;
     };
     
     Window_CraftList.prototype.canDisplayRecipe = function(recipe) {
+        if (!isRecipeAtStation(recipe, this._station)) {
+            return false;
+        }
         if (recipe.requirement) {
             var requiredItem = this.getItemById(recipe.requirement.type, recipe.requirement.id);
             return $gameParty.hasItem(requiredItem); // Check if the player has the required item
@@ -347,27 +1399,451 @@ Scene_Craft.prototype.onCraftOk = function() {
     };
     
     Window_CraftList.prototype.parseRecipes = function(note) {
+        return parseRecipeNote(note);
+    };
+    
+    // Recipe note-tag parsing. Each <recipe> block is read line by line, so
+    // any number of MaterialN lines (or none) may appear in any order.
+    var recipeBlockRegex = /<recipe>([\s\S]*?)<\/recipe>/ig;
+    var recipeLineRegex = /^\s*([A-Za-z][A-Za-z ]*?)\s*(\d*)\s*:\s*(.*?)\s*$/;
+    var recipeEntryRegex = /^(Item|Weapon|Armor)\s*(\d+)(?:\s*,\s*(\d+))?$/i;
+
+    function parseRecipeNote(note, problems) {
         var recipes = [];
-        var regex = /<recipe>\s*Result:\s*(Item|Weapon|Armor)\s*(\d+)\s*[\s\S]*?Material1:\s*(Item|Weapon|Armor)\s*(\d+),\s*(\d+)\s*[\s\S]*?Material2:\s*(Item|Weapon|Armor)\s*(\d+),\s*(\d+)\s*[\s\S]*?Description:\s*(.*?)\s*(?:Requirement:\s*(Item|Weapon|Armor)\s*(\d+))?\s*(?:Cost:\s*(\d+))?\s*<\/recipe>/ig;
         var match;
-        
-        while ((match = regex.exec(note)) !== null) {
-            var recipe = {
-                result: { type: match[1], id: Number(match[2]) },
-                materials: [
-                    { type: match[3], id: Number(match[4]), quantity: Number(match[5]) },
-                    { type: match[6], id: Number(match[7]), quantity: Number(match[8]) }
-                ],
-                description: match[9] || "",  
-                requirement: match[10] ? { type: match[10], id: Number(match[11]) } : null,  
-                cost: match[12] ? Number(match[12]) : 0  
-            };
-            recipes.push(recipe);
+        recipeBlockRegex.lastIndex = 0;
+        while ((match = recipeBlockRegex.exec(note)) !== null) {
+            var recipe = parseRecipeBlock(match[1], problems);
+            if (recipe) {
+                recipes.push(recipe);
+            }
         }
-    
         return recipes;
-    };
-    
+    }
+
+    // Returns null when the block has no valid Result or a malformed material line.
+    // If a problems array is given, every malformed line is reported into it.
+    function parseRecipeBlock(body, problems) {
+        var parsed = readRecipeBlock(body, problems || []);
+        return parsed.valid ? parsed.recipe : null;
+    }
+
+    function readRecipeBlock(body, problems) {
+        var recipe = {
+            result: null, materials: [], description: "", requirement: null, cost: 0, yield: 1, byproducts: [],
+            successRate: 1, successScaling: null, greatRate: 0, greatResult: null, failure: null, station: '', category: '', upgrade: null, costs: [],
+            level: 0, exp: null, quality: false, time: 0
+        };
+        var materialSlots = [];
+        var valid = true;
+        var lines = body.split(/\r?\n/);
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].match(recipeLineRegex);
+            if (!line) {
+                continue;
+            }
+            var key = line[1].toLowerCase();
+            var label = line[1] + line[2];
+            var value = line[3];
+            if (key === 'result') {
+                recipe.result = parseRecipeEntry(value, label, problems);
+                valid = valid && !!recipe.result;
+            } else if (key === 'material') {
+                var material = parseRecipeEntry(value, label, problems);
+                if (material) {
+                    material.quantity = material.quantity || 1;
+                    materialSlots.push({ slot: Number(line[2]) || 0, material: material });
+                } else {
+                    valid = false;
+                }
+            } else if (key === 'upgrade') {
+                recipe.upgrade = parseRecipeEntry(value, label, problems);
+                if (recipe.upgrade) {
+                    recipe.upgrade.quantity = 1;
+                } else {
+                    valid = false;
+                }
+            } else if (key === 'category') {
+                recipe.category = value;
+            } else if (key === 'station') {
+                recipe.station = value;
+            } else if (key === 'description') {
+                recipe.description = value;
+            } else if (key === 'requirement') {
+                recipe.requirement = parseRecipeEntry(value, label, problems);
+            } else if (key === 'quality') {
+                recipe.quality = /^(yes|true|on)$/i.test(value);
+            } else if (key === 'time') {
+                if (/^\d+$/.test(value)) {
+                    recipe.time = Number(value);
+                } else {
+                    problems.push(`${label}: "${value}" is not a number of seconds.`);
+                }
+            } else if (key === 'level' || key === 'craft exp') {
+                if (/^\d+$/.test(value)) {
+                    recipe[key === 'level' ? 'level' : 'exp'] = Number(value);
+                } else {
+                    problems.push(`${label}: "${value}" is not a number.`);
+                }
+            } else if (key === 'yield') {
+                if (/^\d+$/.test(value) && Number(value) > 0) {
+                    recipe.yield = Number(value);
+                } else {
+                    problems.push(`${label}: "${value}" is not a positive number.`);
+                }
+            } else if (key === 'byproduct') {
+                var byproduct = parseRecipeEntry(value, label, problems);
+                if (byproduct) {
+                    byproduct.quantity = byproduct.quantity || 1;
+                    recipe.byproducts.push(byproduct);
+                }
+            } else if (key === 'success') {
+                var success = parseRecipePercent(value);
+                if (success !== null) {
+                    recipe.successRate = success;
+                } else {
+                    problems.push(`${label}: "${value}" is not a percentage.`);
+                }
+            } else if (key === 'success scaling') {
+                var scaling = /^(mhp|mmp|atk|def|mat|mdf|agi|luk)\s+(\d+(?:\.\d+)?)\s*%?$/i.exec(value);
+                if (scaling) {
+                    recipe.successScaling = { paramId: craftParamNames.indexOf(scaling[1].toLowerCase()), factor: Number(scaling[2]) / 100 };
+                } else {
+                    problems.push(`${label}: "${value}" should look like "luk 0.2%".`);
+                }
+            } else if (key === 'great success') {
+                var great = /^([^,]*?)\s*(?:,\s*(.*))?$/.exec(value);
+                var greatRate = parseRecipePercent(great[1]);
+                if (greatRate === null) {
+                    problems.push(`${label}: "${great[1]}" is not a percentage.`);
+                } else {
+                    recipe.greatRate = greatRate;
+                    recipe.greatResult = great[2] ? parseRecipeEntry(great[2], label, problems) : null;
+                }
+            } else if (key === 'failure') {
+                var refund = /^refund\s+(\d+(?:\.\d+)?)\s*%$/i.exec(value);
+                if (refund) {
+                    recipe.failure = { refund: Number(refund[1]) / 100 };
+                } else if (!/^nothing$/i.test(value)) {
+                    var junk = parseRecipeEntry(value, label, problems);
+                    if (junk) {
+                        junk.quantity = junk.quantity || 1;
+                        recipe.failure = { item: junk };
+                    }
+                }
+            } else if (key === 'cost') {
+                var cost = parseRecipeCost(value);
+                if (cost) {
+                    recipe.costs.push(cost);
+                    if (cost.kind === 'gold') {
+                        recipe.cost += cost.amount;
+                    }
+                } else {
+                    problems.push(`${label}: cannot read "${value}" (expected e.g. "50 Gold", "3 Item 44" or "10 Variable 3").`);
+                }
+            }
+        }
+        if (!recipe.result && valid) {
+            problems.push('Missing Result line.');
+        }
+        materialSlots.sort(function(a, b) {
+            return a.slot - b.slot;
+        });
+        recipe.materials = materialSlots.map(function(entry) {
+            return entry.material;
+        });
+        return { recipe: recipe, valid: valid && !!recipe.result };
+    }
+
+    // Parses "Item 8" or "Weapon 06, 2" into { type, id, quantity }.
+    function parseRecipeEntry(text, label, problems) {
+        var match = recipeEntryRegex.exec(text);
+        if (!match) {
+            if (problems) {
+                var typed = /^([A-Za-z]+)\s*\d+/.exec(text);
+                if (typed) {
+                    problems.push(`${label}: unknown type "${typed[1]}" (expected Item, Weapon or Armor).`);
+                } else {
+                    problems.push(`${label}: cannot read "${text}" (expected e.g. "Item 5, 2").`);
+                }
+            }
+            return null;
+        }
+        var type = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
+        var entry = { type: type, id: Number(match[2]) };
+        if (match[3] !== undefined) {
+            entry.quantity = Number(match[3]);
+        }
+        return entry;
+    }
+
+    // Parses "50", "50 Gold", "3 Item 44" or "10 Variable 3" into
+    // { kind, amount } plus the item type and id or variable id, or null.
+    // recipe.cost keeps the gold total.
+    function parseRecipeCost(text) {
+        var match = /^(\d+)(?:\s+(Gold|Variable|Item|Weapon|Armor)\s*(\d*))?$/i.exec(text);
+        if (!match) {
+            return null;
+        }
+        var kind = (match[2] || 'Gold').toLowerCase();
+        if ((kind === 'gold') !== !match[3]) {
+            return null;
+        }
+        var cost = { kind: kind === 'variable' || kind === 'gold' ? kind : 'item', amount: Number(match[1]) };
+        if (kind === 'variable') {
+            cost.id = Number(match[3]);
+        } else if (cost.kind === 'item') {
+            cost.type = kind.charAt(0).toUpperCase() + kind.slice(1);
+            cost.id = Number(match[3]);
+        }
+        return cost;
+    }
+
+    // Parses "80%" into 0.8, or returns null.
+    function parseRecipePercent(text) {
+        var match = /^(\d+(?:\.\d+)?)\s*%$/.exec(text);
+        return match ? Number(match[1]) / 100 : null;
+    }
+
+    function getDataItem(type, id) {
+        if (type === 'Item') {
+            return $dataItems[id];
+        } else if (type === 'Weapon') {
+            return $dataWeapons[id];
+        } else if (type === 'Armor') {
+            return $dataArmors[id];
+        }
+        return null;
+    }
+
+    // Everything one craft produces: the result times its yield, then the by-products.
+    function recipeProducts(recipe) {
+        var result = { type: recipe.result.type, id: recipe.result.id, quantity: recipe.yield || 1 };
+        return [result].concat(recipe.byproducts || []);
+    }
+
+    // What a great success produces: the Great Success item if one is given,
+    // otherwise twice the normal yield.
+    function recipeGreatProducts(recipe) {
+        var great = recipe.greatResult;
+        var result = great ?
+            { type: great.type, id: great.id, quantity: great.quantity || recipe.yield || 1 } :
+            { type: recipe.result.type, id: recipe.result.id, quantity: (recipe.yield || 1) * 2 };
+        return [result].concat(recipe.byproducts || []);
+    }
+
+    // The most of each item one craft can produce, whether it is a plain or
+    // a great success. Used to check that the bag has room for it all.
+    function recipeMostProducts(recipe) {
+        var most = [];
+        var outcomes = recipe.greatRate > 0 ? [recipeProducts(recipe), recipeGreatProducts(recipe)] : [recipeProducts(recipe)];
+        outcomes.forEach(function(products) {
+            var totals = [];
+            products.forEach(function(product) {
+                var total = totals.filter(function(entry) {
+                    return entry.type === product.type && entry.id === product.id;
+                })[0];
+                if (total) {
+                    total.quantity += product.quantity;
+                } else {
+                    totals.push({ type: product.type, id: product.id, quantity: product.quantity });
+                }
+            });
+            totals.forEach(function(total) {
+                var entry = most.filter(function(entry) {
+                    return entry.type === total.type && entry.id === total.id;
+                })[0];
+                if (entry) {
+                    entry.quantity = Math.max(entry.quantity, total.quantity);
+                } else {
+                    most.push(total);
+                }
+            });
+        });
+        return most;
+    }
+
+    // What a failed craft gives back: part of the materials or a junk item.
+    // The fraction of a refunded material is rolled the way salvage is, so a
+    // 50% refund of a single material gives it back half of the time.
+    function recipeFailureProducts(recipe) {
+        var failure = recipe.failure;
+        if (!failure) {
+            return [];
+        } else if (failure.item) {
+            return [failure.item];
+        }
+        return recipe.materials.map(function(material) {
+            var refund = material.quantity * failure.refund;
+            var quantity = Math.floor(refund);
+            if (CraftRandom.next() < refund - quantity) {
+                quantity++;
+            }
+            return { type: material.type, id: material.id, quantity: quantity };
+        }).filter(function(product) {
+            return product.quantity > 0;
+        });
+    }
+
+    // Every recipe in the database, parsed once and cached.
+    var recipeCache = null;
+
+    function allRecipes() {
+        if (!recipeCache) {
+            recipeCache = [];
+            $dataItems.concat($dataWeapons, $dataArmors).forEach(function(item) {
+                if (item && item.note) {
+                    recipeCache = recipeCache.concat(parseRecipeNote(item.note));
+                }
+            });
+        }
+        return recipeCache;
+    }
+
+    // Works out how many times the recipe can be crafted at the station ('' for
+    // none) with what the party holds right now. The reason names the input
+    // that runs out first.
+    function recipeCraftLimit(recipe, ignoreKnown, station) {
+        if (!recipe) {
+            return { max: 0, reason: 'Invalid recipe.', source: '' };
+        }
+        if (!recipe.materials) {
+            return { max: 0, reason: 'Missing materials.', source: '' };
+        }
+        if (!isRecipeAtStation(recipe, station)) {
+            return { max: 0, reason: stationReason.format(recipe.station), source: '' };
+        }
+        if (!ignoreKnown && !isRecipeKnown(recipe)) {
+            return { max: 0, reason: unknownRecipeReason, source: '' };
+        }
+        // Check requirement
+        if (recipe.requirement) {
+            var requiredItem = getDataItem(recipe.requirement.type, recipe.requirement.id);
+            if (!$gameParty.hasItem(requiredItem)) {
+                return { max: 0, reason: requiredItemReason.format(requiredItem ? requiredItem.name : '?'), source: '' };
+            }
+        }
+        if (recipe.level > $gameParty.craftLevel()) {
+            return { max: 0, reason: requiredLevelReason.format(recipe.level), source: '' };
+        }
+        var limit = { max: Infinity, reason: '', source: '' };
+        var limitBy = function(count, reason, source) {
+            count = Math.max(0, Math.floor(count));
+            if (count < limit.max) {
+                limit.max = count;
+                limit.reason = reason;
+                limit.source = source;
+            }
+        };
+        // Check materials
+        totalRecipeMaterials(recipe).forEach(function(material) {
+            var item = getDataItem(material.type, material.id);
+            if (item) {
+                limitBy($gameParty.numItems(item) / material.quantity, notEnoughReason.format(item.name), item.name);
+            } else {
+                limitBy(0, 'Unknown material.', '');
+            }
+        });
+        // Check for something to upgrade
+        if (recipe.upgrade) {
+            var source = getDataItem(recipe.upgrade.type, recipe.upgrade.id);
+            limitBy(upgradeSources(recipe).length, upgradeSourceReason.format(source ? source.name : '?'), source ? source.name : '');
+        }
+        // Check gold and variable costs; item costs were counted with the materials
+        recipe.costs.forEach(function(cost) {
+            if (cost.kind !== 'item' && cost.amount > 0) {
+                limitBy(craftCostHeld(cost) / cost.amount, notEnoughReason.format(craftCostName(cost)), craftCostName(cost));
+            }
+        });
+        // Check room in the bag for the result and by-products, counting a great success
+        if (!getDataItem(recipe.result.type, recipe.result.id)) {
+            limitBy(0, 'Unknown result item.', '');
+        }
+        recipeMostProducts(recipe).forEach(function(product) {
+            var item = getDataItem(product.type, product.id);
+            if (item) {
+                limitBy(($gameParty.maxItems(item) - $gameParty.numItems(item)) / product.quantity,
+                    bagFullReason.format(item.name), bagSpaceName);
+            }
+        });
+        return limit;
+    }
+
+    // Everything the party can upgrade with the recipe: the inventory, if it
+    // holds the source item, then every actor slot wearing it.
+    function upgradeSources(recipe) {
+        var item = getDataItem(recipe.upgrade.type, recipe.upgrade.id);
+        var sources = [];
+        if (!item) {
+            return sources;
+        }
+        if ($gameParty.numItems(item) > 0) {
+            sources.push({ actor: null, slotId: -1 });
+        }
+        $gameParty.members().forEach(function(actor) {
+            actor.equips().forEach(function(equip, slotId) {
+                if (equip === item) {
+                    sources.push({ actor: actor, slotId: slotId });
+                }
+            });
+        });
+        return sources;
+    }
+
+    // The materials plus the upgraded item, for matching what the party holds.
+    function recipeInputs(recipe) {
+        return recipe.upgrade ? recipe.materials.concat([recipe.upgrade]) : recipe.materials;
+    }
+
+    // The category tab a recipe is listed under: its Category line, or else
+    // the kind of item it makes.
+    function recipeCategory(recipe) {
+        if (recipe.category) {
+            return recipe.category;
+        }
+        var item = getDataItem(recipe.result.type, recipe.result.id);
+        if (recipe.result.type === 'Weapon') {
+            return categoryNames[1];
+        } else if (recipe.result.type === 'Armor') {
+            return categoryNames[2];
+        } else if (item && item.itypeId === 2) {
+            return categoryNames[3];
+        }
+        return categoryNames[0];
+    }
+
+    function recipeCategories() {
+        var categories = categoryNames.slice();
+        allRecipes().forEach(function(recipe) {
+            if (recipe.category && categories.indexOf(recipe.category) < 0) {
+                categories.push(recipe.category);
+            }
+        });
+        return categories;
+    }
+
+    // Totals the materials by item, so a recipe listing the same item on
+    // several MaterialN lines is checked against the combined amount.
+    // Item costs are added in too, since they come out of the same bag.
+    function totalRecipeMaterials(recipe) {
+        var totals = [];
+        var itemCosts = (recipe.costs || []).filter(function(cost) {
+            return cost.kind === 'item';
+        }).map(function(cost) {
+            return { type: cost.type, id: cost.id, quantity: cost.amount };
+        });
+        recipe.materials.concat(itemCosts).forEach(function(material) {
+            var existing = totals.filter(function(total) {
+                return total.type === material.type && total.id === material.id;
+            })[0];
+            if (existing) {
+                existing.quantity += material.quantity;
+            } else {
+                totals.push({ type: material.type, id: material.id, quantity: material.quantity });
+            }
+        });
+        return totals;
+    }
 
     Window_CraftList.prototype.drawAllItems = function() {
         var topIndex = this.topIndex(); 
@@ -384,10 +1860,14 @@ Scene_Craft.prototype.onCraftOk = function() {
     if (rect.y + rect.height > 0 && rect.y < this.height) {  
         var recipe = this._data[index];
         if (recipe) {
-            var iconIndex = this.getItemIconIndex(recipe.result.type, recipe.result.id);
-            var itemName = this.getItemName(recipe.result.type, recipe.result.id);
+            var known = isRecipeKnown(recipe);
+            var iconIndex = known ? this.getItemIconIndex(recipe.result.type, recipe.result.id) : 0;
+            var itemName = known ? this.getItemName(recipe.result.type, recipe.result.id) : unknownRecipeName;
+            // Dim the recipes the party can't craft right now
+            this.changePaintOpacity(recipeCraftLimit(recipe, false, this._station).max > 0);
             this.drawIcon(iconIndex, rect.x + 2, rect.y + 2);
             this.drawText(itemName, rect.x + Window_Base._iconWidth + 4, rect.y, rect.width - Window_Base._iconWidth - 4, 'left');
+            this.changePaintOpacity(true);
         }
     }
 };
@@ -447,64 +1927,106 @@ Window_CraftList.prototype.itemRect = function(index) {
         return item ? item.name : "Unknown Item";
     };
 
-    function Window_CraftNotification() {
+    Scene_Craft.prototype.showNotification = function(message) {
+        showCraftToast(message);
+    };
+
+    // Crafting messages go through the toast queue of toast_system.js, so
+    // they keep showing when the scene changes.
+    function showCraftToast(message) {
+        ToastManager.show(message, 0, notificationDuration);
+    }
+
+    // Window_CraftUpgrade
+    //
+    // The copies of an upgrade recipe's source item: the inventory stack,
+    // then each actor slot wearing one.
+
+    function Window_CraftUpgrade() {
         this.initialize.apply(this, arguments);
     }
 
-    Window_CraftNotification.prototype = Object.create(Window_Base.prototype);
-    Window_CraftNotification.prototype.constructor = Window_CraftNotification;
+    Window_CraftUpgrade.prototype = Object.create(Window_Selectable.prototype);
+    Window_CraftUpgrade.prototype.constructor = Window_CraftUpgrade;
 
-    Window_CraftNotification.prototype.initialize = function(x, y, width, height) {
-        Window_Base.prototype.initialize.call(this, x, y, width, height);
-        this.openness = 0; 
-        this._message = '';
+    Window_CraftUpgrade.prototype.initialize = function(x, y, width, height) {
+        Window_Selectable.prototype.initialize.call(this, x, y, width, height);
+        this._recipe = null;
+        this._data = [];
     };
-    Window_CraftNotification.prototype.setMessage = function(message) {
-        this._message = message;
+
+    Window_CraftUpgrade.prototype.setRecipe = function(recipe) {
+        this._recipe = recipe;
         this.refresh();
-        this.open();  
     };
 
-    Window_CraftNotification.prototype.refresh = function() {
-        this.contents.clear();
-        this.drawText(this._message, 0, 0, this.contentsWidth(), 'center');
+    Window_CraftUpgrade.prototype.maxItems = function() {
+        return this._data.length;
     };
 
-    Scene_Craft.prototype.createNotificationWindow = function() {
-        const width = Graphics.boxWidth / 2;
-        const height = this._helpWindow.fittingHeight(1);
-        const x = (Graphics.boxWidth - width) / 2;
-        const y = this._craftWindow.y - height - 10;  
-        this._notificationWindow = new Window_CraftNotification(x, y, width, height);
-        this.addWindow(this._notificationWindow);
+    Window_CraftUpgrade.prototype.source = function() {
+        return this._data[this.index()] || null;
     };
 
-    Scene_Craft.prototype.showNotification = function(message) {
-        if (this._notificationWindow) {
-            this._notificationWindow.setMessage(message);
-            setTimeout(() => this._notificationWindow.close(), 2000);  
-        }
-    };
-    function showNotification(message) {
-         
-        const width = Graphics.boxWidth / 2;  
-        const height = 100; 
-        const x = (Graphics.boxWidth - width) / 2;  
-        const y = Graphics.boxHeight / 4;  
-        const notificationWindow = new Window_Base(new Rectangle(x, y, width, height));
-    
-         notificationWindow.drawText(message, 0, 0, width, "center");
-        SceneManager._scene.addChild(notificationWindow);
-    
-         const listener = function () {
-             SceneManager._scene.removeChild(notificationWindow);
-            Input.clear();
-            document.removeEventListener("keydown", listener);
-        };
-    
-         document.addEventListener("keydown", listener);
+    Window_CraftUpgrade.prototype.refresh = function() {
+        this._data = this._recipe ? upgradeSources(this._recipe) : [];
+        this.createContents();
+        this.drawAllItems();
+    };
+
+    Window_CraftUpgrade.prototype.drawItem = function(index) {
+        var source = this._data[index];
+        var item = getDataItem(this._recipe.upgrade.type, this._recipe.upgrade.id);
+        var rect = this.itemRectForText(index);
+        this.drawItemName(item, rect.x, rect.y, rect.width / 2);
+        if (source.actor) {
+            var slotName = $dataSystem.equipTypes[source.actor.equipSlots()[source.slotId]];
+            this.drawText(`${source.actor.name()} (${slotName})`, rect.x + rect.width / 2, rect.y, rect.width / 2, 'right');
+        } else {
+            this.drawText(inventorySourceText.format($gameParty.numItems(item)), rect.x + rect.width / 2, rect.y, rect.width / 2, 'right');
+        }
+    };
+
+    // Window_CraftNumber
+    //
+    // The quantity picker, totalling every cost of the recipe instead of a
+    // single gold price.
+
+    function Window_CraftNumber() {
+        this.initialize.apply(this, arguments);
     }
-    
+
+    Window_CraftNumber.prototype = Object.create(Window_ShopNumber.prototype);
+    Window_CraftNumber.prototype.constructor = Window_CraftNumber;
+
+    Window_CraftNumber.prototype.initialize = function(x, y, height) {
+        Window_ShopNumber.prototype.initialize.call(this, x, y, height);
+        this._costs = [];
+    };
+
+    Window_CraftNumber.prototype.setup = function(item, max, costs) {
+        this._costs = costs;
+        Window_ShopNumber.prototype.setup.call(this, item, max, 0);
+    };
+
+    // Each cost times the quantity, on one line ending at the right edge.
+    Window_CraftNumber.prototype.drawTotalPrice = function() {
+        var x = this.contentsWidth() - this.textPadding();
+        var y = this.priceY();
+        this._costs.slice().reverse().forEach(function(cost) {
+            var text = `${cost.amount * this._number} ${craftCostName(cost)}`;
+            var width = this.textWidth(text);
+            x -= width;
+            this.drawText(text, x, y, width);
+            var iconIndex = craftCostIcon(cost);
+            if (iconIndex > 0) {
+                x -= Window_Base._iconWidth + 4;
+                this.drawIcon(iconIndex, x, y + 2);
+            }
+            x -= this.textWidth('   ');
+        }, this);
+    };
+
      function Window_CraftDetails() {
         this.initialize.apply(this, arguments);
     }
@@ -526,36 +2048,43 @@ Window_CraftList.prototype.itemRect = function(index) {
 
     Window_CraftDetails.prototype.refresh = function() {
         this.contents.clear();
-        if (this._recipe) {
+        if (this._recipe && !isRecipeKnown(this._recipe)) {
+            this.drawText(unknownRecipeName, 0, 0, this.contents.width);
+        } else if (this._recipe) {
             var y = 0;
             var lineHeight = this.lineHeight();
             
-             this.drawText("Description:", 0, y, this.contents.width);
-            y += lineHeight;
-            this.drawText(this._recipe.description, 0, y, this.contents.width);
+            // The description follows its label on the same line
+            var labelWidth = this.textWidth(descriptionLabel + ' ');
+            this.drawText(descriptionLabel, 0, y, this.contents.width);
+            this.drawText(this._recipe.description, labelWidth, y, this.contents.width - labelWidth);
             y += lineHeight + 1;
      var resultItem = this.getItem(this._recipe.result.type, this._recipe.result.id);
     var paramWidth = this.contents.width / 6;
     var x =0;
+    var equipBottom = 0;
     
     if (resultItem && (resultItem.atk !== undefined || resultItem.def !== undefined)) {
+            // The right half of the parameter lines and the cost line
+            // compares against the party
+            equipBottom = this.drawEquipChanges(this.contents.width / 2, y, this.contents.width / 2);
    
-            this.drawText(`Attack: ${resultItem.atk}`, x, y, this.contents.width);
+            this.drawText(`${paramLabels[0]}: ${resultItem.atk}`, x, y, this.contents.width);
             x += paramWidth;
-            this.drawText(`  Defense: ${resultItem.def}`, x, y, this.contents.width);
+            this.drawText(`  ${paramLabels[1]}: ${resultItem.def}`, x, y, this.contents.width);
             x += paramWidth;
-            this.drawText(`    Agility: ${resultItem.agi}`, x, y, this.contents.width);
+            this.drawText(`    ${paramLabels[4]}: ${resultItem.agi}`, x, y, this.contents.width);
             x += paramWidth;
             
             y += lineHeight;
             x=0;
-            this.drawText(`M.Attack: ${resultItem.mat}`, x, y, this.contents.width);
+            this.drawText(`${paramLabels[2]}: ${resultItem.mat}`, x, y, this.contents.width);
             x += paramWidth;
-            this.drawText(`  M.Defesnse: ${resultItem.mdf}`, x, y, this.contents.width);
+            this.drawText(`  ${paramLabels[3]}: ${resultItem.mdf}`, x, y, this.contents.width);
             x += paramWidth;
 
 
-            this.drawText(`    Luck: ${resultItem.luk}`, x, y, this.contents.width);
+            this.drawText(`    ${paramLabels[5]}: ${resultItem.luk}`, x, y, this.contents.width);
             x += paramWidth;
 
         y += lineHeight;
@@ -563,19 +2092,56 @@ Window_CraftList.prototype.itemRect = function(index) {
         
     }
             // Draw cost if applicable
-            if (this._recipe.cost > 0) {
-                this.drawText(`Cost: ${this._recipe.cost} Fairy Mass`, 0, y, this.contents.width);
+            if (this._recipe.costs.length > 0) {
+                this.drawCosts(0, y);
+                y += lineHeight;
+            }
+            y = Math.max(y, equipBottom);
+            // Draw success chance for recipes that can fail
+            var successRate = craftSuccessRate(this._recipe);
+            var chances = [];
+            if (successRate < 1 || this._recipe.greatRate > 0) {
+                chances.push(successChanceText.format(Math.round(successRate * 100)));
+            }
+            if (this._recipe.greatRate > 0) {
+                chances.push(greatChanceText.format(Math.round(this._recipe.greatRate * 100)));
+            }
+            if (isTimedRecipe(this._recipe)) {
+                chances.push(timeText.format(formatCraftTime(this._recipe.time)));
+            }
+            if (chances.length > 0) {
+                this.drawText(chances.join('  '), 0, y, this.contents.width);
                 y += lineHeight;
             }
            
+            // Draw products in the right half, next to the materials
+            this.drawProducts(this.contents.width / 2, y, this.contents.width / 2);
+
             // Draw materials
-            this.drawText("Materials:", 0, y, this.contents.width);
+            this.drawText(materialsLabel, 0, y, this.contents.width);
             y += lineHeight;
+            if (this._recipe.upgrade) {
+                var upgrade = this._recipe.upgrade;
+                var upgradeCount = upgradeSources(this._recipe).length;
+                var upgradeWidth = this.textWidth('000/000');
+                this.drawIcon(this.getItemIconIndex(upgrade.type, upgrade.id), 0, y);
+                this.drawText('  ' + upgradeText.format(this.getItemName(upgrade.type, upgrade.id)), 24, y, this.contents.width / 2 - 24 - upgradeWidth);
+                this.changeTextColor(upgradeCount > 0 ? this.powerUpColor() : this.powerDownColor());
+                this.drawText(`${upgradeCount}/1`, this.contents.width / 2 - upgradeWidth - this.textPadding(), y, upgradeWidth, 'right');
+                this.resetTextColor();
+                y += lineHeight;
+            }
             this._recipe.materials.forEach(function(material, i) {
                 var materialItem = this.getItemName(material.type, material.id);
                 var iconIndex = this.getItemIconIndex(material.type, material.id);
+                var owned = $gameParty.numItems(getDataItem(material.type, material.id));
+                var countWidth = this.textWidth('000/000');
                 this.drawIcon(iconIndex, 0, y);
-                this.drawText(`  Material ${i + 1}: ${materialItem} x${material.quantity}`, 24, y, this.contents.width - 24);
+                this.drawText('  ' + materialText.format(i + 1, materialItem), 24, y, this.contents.width / 2 - 24 - countWidth);
+                // Owned against required, green when there are enough
+                this.changeTextColor(owned >= material.quantity ? this.powerUpColor() : this.powerDownColor());
+                this.drawText(`${owned}/${material.quantity}`, this.contents.width / 2 - countWidth - this.textPadding(), y, countWidth, 'right');
+                this.resetTextColor();
                 y += lineHeight;
             }, this);
             
@@ -583,6 +2149,110 @@ Window_CraftList.prototype.itemRect = function(index) {
             
         }
     };
+    // Every cost on one line, each as icon, amount and name.
+    Window_CraftDetails.prototype.drawCosts = function(x, y) {
+        this.drawText(costLabel, x, y, this.contents.width);
+        x += this.textWidth(costLabel + ' ');
+        this._recipe.costs.forEach(function(cost) {
+            var iconIndex = craftCostIcon(cost);
+            if (iconIndex > 0) {
+                this.drawIcon(iconIndex, x, y + 2);
+                x += Window_Base._iconWidth + 4;
+            }
+            var text = `${cost.amount} ${craftCostName(cost)}`;
+            this.changePaintOpacity(craftCostHeld(cost) >= cost.amount);
+            this.drawText(text, x, y, this.contents.width - x);
+            this.changePaintOpacity(true);
+            x += this.textWidth(text + '   ');
+        }, this);
+    };
+
+    // Lists the result and every by-product of one craft.
+    Window_CraftDetails.prototype.drawProducts = function(x, y, width) {
+        var lineHeight = this.lineHeight();
+        this.drawText(producesLabel, x, y, width);
+        y += lineHeight;
+        recipeProducts(this._recipe).forEach(function(product, i) {
+            this.drawIcon(this.getItemIconIndex(product.type, product.id), x, y);
+            this.drawText(`  ${this.getItemName(product.type, product.id)} x${product.quantity}`, x + 24, y, width - 24);
+            y += lineHeight;
+            if (i === 0 && recipeRollsQuality(this._recipe)) {
+                this.drawQualityRange(x + 24, y, width - 24);
+                y += lineHeight;
+            }
+        }, this);
+    };
+
+    // The worst and best tier, with the range of the main parameter.
+    Window_CraftDetails.prototype.drawQualityRange = function(x, y, width) {
+        var item = this.getDataResult();
+        var paramId = DataManager.isWeapon(item) ? 2 : 3;
+        var worst = qualityTiers[0];
+        var best = qualityTiers[qualityTiers.length - 1];
+        var low = qualityParam(item.params[paramId], worst.rate);
+        var high = qualityParam(item.params[paramId], best.rate);
+        this.changeTextColor(this.systemColor());
+        this.drawText(`  ${worst.name} ~ ${best.name}`, x, y, width / 2);
+        this.resetTextColor();
+        this.drawText(`${TextManager.param(paramId)} ${low} ~ ${high}`, x + width / 2, y, width / 2);
+    };
+
+    Window_CraftDetails.prototype.getDataResult = function() {
+        return getDataItem(this._recipe.result.type, this._recipe.result.id);
+    };
+
+    // Compares the result against what each battle member has equipped, the
+    // same way Window_ShopStatus does: the heading, then the members on the
+    // two lines under it, however many there are. Returns the y below them.
+    Window_CraftDetails.prototype.drawEquipChanges = function(x, y, width) {
+        var item = this.getDataResult();
+        var paramId = DataManager.isWeapon(item) ? 2 : 3;
+        var lineHeight = this.lineHeight();
+        var members = $gameParty.battleMembers();
+        var columns = Math.max(Math.ceil(members.length / 2), 1);
+        var actorWidth = width / columns;
+        this.changeTextColor(this.systemColor());
+        this.drawText(equipCompareText.format(TextManager.param(paramId)), x, y, width);
+        this.resetTextColor();
+        y += lineHeight;
+        members.forEach(function(actor, i) {
+            var ax = x + (i % columns) * actorWidth;
+            var ay = y + Math.floor(i / columns) * lineHeight;
+            var enabled = actor.canEquip(item);
+            this.changePaintOpacity(enabled);
+            this.resetTextColor();
+            this.drawText(actor.name(), ax, ay, actorWidth - 72);
+            if (enabled) {
+                this.drawEquipParamChange(actor, item, paramId, ax + actorWidth - 72, ay, 60);
+            }
+            this.changePaintOpacity(true);
+        }, this);
+        return y + lineHeight * 2;
+    };
+
+    Window_CraftDetails.prototype.drawEquipParamChange = function(actor, item, paramId, x, y, width) {
+        var change = item.params[paramId] - this.equippedParam(actor, item, paramId);
+        this.changeTextColor(this.paramchangeTextColor(change));
+        this.drawText((change > 0 ? '+' : '') + change, x, y, width, 'right');
+        this.resetTextColor();
+    };
+
+    // The weakest item the actor has in a slot the result could go into, so
+    // dual wielders compare against their worse hand.
+    Window_CraftDetails.prototype.equippedParam = function(actor, item, paramId) {
+        var slots = actor.equipSlots();
+        var equips = actor.equips();
+        var worst = null;
+        slots.forEach(function(etypeId, slotId) {
+            if (etypeId === item.etypeId) {
+                var equipped = equips[slotId];
+                var value = equipped ? equipped.params[paramId] : 0;
+                worst = worst === null ? value : Math.min(worst, value);
+            }
+        });
+        return worst || 0;
+    };
+
     Window_CraftDetails.prototype.getItem = function(type, id) {
         let item = null;
     
@@ -638,14 +2308,1510 @@ Window_CraftList.prototype.itemRect = function(index) {
         return item ? item.name : "Unknown Item";
     };
 
-    // Add the crafting scene to the main menu
-    var _Scene_Menu_createCommandWindow = Scene_Menu.prototype.createCommandWindow;
-    Scene_Menu.prototype.createCommandWindow = function() {
-        _Scene_Menu_createCommandWindow.call(this);
-        this._commandWindow.setHandler('craft', this.commandCraft.bind(this));
+    //=========================================================================
+    // Experiment mode
+    //=========================================================================
+
+    Scene_Craft.prototype.createExperimentWindows = function() {
+        var y = this._craftWindow.y;
+        this._ingredientWindow = new Window_CraftIngredients(0, y, Graphics.boxWidth, this._craftWindow.height);
+        this._ingredientWindow.setHandler('ok', this.onIngredientOk.bind(this));
+        this._ingredientWindow.setHandler('cancel', this.onIngredientCancel.bind(this));
+        this._ingredientWindow.setHelpWindow(this._helpWindow);
+        this.addWindow(this._ingredientWindow);
+        this._experimentWindow = new Window_CraftExperiment(0, this._detailsWindow.y);
+        this._experimentWindow.setHandler('add', this.onExperimentAdd.bind(this));
+        this._experimentWindow.setHandler('combine', this.onExperimentCombine.bind(this));
+        this._experimentWindow.setHandler('clear', this.onExperimentClear.bind(this));
+        this._experimentWindow.setHandler('cancel', this.onExperimentCancel.bind(this));
+        this.addWindow(this._experimentWindow);
+        var slotX = this._experimentWindow.width;
+        this._slotWindow = new Window_CraftSlots(slotX, this._detailsWindow.y, Graphics.boxWidth - slotX, this._detailsWindow.height);
+        this.addWindow(this._slotWindow);
+        this.setExperimentPicks([]);
+    };
+
+    Scene_Craft.prototype.setExperimentPicks = function(picks) {
+        this._picks = picks;
+        this._ingredientWindow.setPicks(picks);
+        this._experimentWindow.setPicks(picks);
+        this._slotWindow.setPicks(picks);
+    };
+
+    Scene_Craft.prototype.onModeExperiment = function() {
+        this._ingredientWindow.refresh();
+        this._experimentWindow.refresh();
+        this._experimentWindow.activate();
+        this._experimentWindow.select(0);
+    };
+
+    Scene_Craft.prototype.onExperimentAdd = function() {
+        this._ingredientWindow.activate();
+        this._ingredientWindow.select(Math.max(0, this._ingredientWindow.index()));
+    };
+
+    Scene_Craft.prototype.onIngredientOk = function() {
+        this.setExperimentPicks(this._picks.concat([this._ingredientWindow.item()]));
+        this.onIngredientCancel();
+    };
+
+    Scene_Craft.prototype.onIngredientCancel = function() {
+        this._ingredientWindow.deselect();
+        this._helpWindow.clear();
+        this._experimentWindow.activate();
+    };
+
+    Scene_Craft.prototype.onExperimentClear = function() {
+        this.setExperimentPicks([]);
+        this._experimentWindow.activate();
+    };
+
+    Scene_Craft.prototype.onExperimentCancel = function() {
+        this.setExperimentPicks([]);
+        this._experimentWindow.deselect();
+        this._modeWindow.activate();
+    };
+
+    // Combines the chosen items. A match crafts the recipe once and teaches
+    // it; anything else applies the Experiment Penalty.
+    Scene_Craft.prototype.onExperimentCombine = function() {
+        var matches = findRecipesByMaterials(this._picks).filter(function(recipe) {
+            return isRecipeAtStation(recipe, this._station);
+        }, this);
+        if (matches.length > 0) {
+            var recipe = matches.filter(function(match) {
+                return this.craftLimit(match, true).max > 0;
+            }, this)[0];
+            if (recipe) {
+                var resultItem = this.getItem(recipe.result.type, recipe.result.id);
+                var outcome = this.doCraft(recipe, 1);
+                $gameSystem.learnRecipe(recipe.result.type, recipe.result.id);
+                this.showNotification(discoveredText.format(resultItem.name) + ' ' + this.craftOutcomeMessage(recipe, outcome));
+            } else {
+                SoundManager.playBuzzer();
+                this.showNotification(this.craftLimit(matches[0], true).reason);
+            }
+        } else {
+            if (experimentPenalty === 'consume') {
+                this._picks.forEach(function(item) {
+                    $gameParty.loseItem(item, 1);
+                });
+            }
+            SoundManager.playBuzzer();
+            this.showNotification(experimentFailureText);
+        }
+        this.setExperimentPicks([]);
+        this._ingredientWindow.refresh();
+        this._experimentWindow.activate();
+    };
+
+    // Recipes whose distinct materials are exactly the distinct chosen items.
+    function findRecipesByMaterials(items) {
+        var keys = uniqueKeys(items.map(function(item) {
+            return recipeKey(dataItemType(item), item.id);
+        }));
+        return allRecipes().filter(function(recipe) {
+            var materialKeys = uniqueKeys(recipeInputs(recipe).map(function(material) {
+                return recipeKey(material.type, material.id);
+            }));
+            return materialKeys.length === keys.length && materialKeys.every(function(key) {
+                return keys.indexOf(key) >= 0;
+            });
+        });
+    }
+
+    function uniqueKeys(keys) {
+        return keys.filter(function(key, index) {
+            return keys.indexOf(key) === index;
+        });
+    }
+
+    function dataItemType(item) {
+        if (DataManager.isWeapon(item)) {
+            return 'Weapon';
+        } else if (DataManager.isArmor(item)) {
+            return 'Armor';
+        }
+        return 'Item';
+    }
+
+    // Window_CraftMode
+    //
+    // The tabs of the crafting scene.
+
+    function Window_CraftMode() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftMode.prototype = Object.create(Window_HorzCommand.prototype);
+    Window_CraftMode.prototype.constructor = Window_CraftMode;
+
+    Window_CraftMode.prototype.initialize = function(x, y) {
+        Window_HorzCommand.prototype.initialize.call(this, x, y);
+    };
+
+    Window_CraftMode.prototype.windowWidth = function() {
+        return Graphics.boxWidth * 2 / 3;
+    };
+
+    Window_CraftMode.prototype.maxCols = function() {
+        return Math.max(1, this.maxItems());
+    };
+
+    Window_CraftMode.prototype.makeCommandList = function() {
+        this.addCommand(modeNames[0], 'recipes');
+        this.addCommand(modeNames[1], 'experiment');
+        this.addCommand(modeNames[2], 'salvage');
+        this.addCommand(modeNames[3], 'jobs');
+    };
+
+    // Window_CraftCategory
+    //
+    // Recipe categories, followed by the sort and hide toggles. Moving the
+    // cursor over a category switches the recipe list to it.
+
+    function Window_CraftCategory() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftCategory.prototype = Object.create(Window_HorzCommand.prototype);
+    Window_CraftCategory.prototype.constructor = Window_CraftCategory;
+
+    Window_CraftCategory.prototype.initialize = function(x, y) {
+        this._craftWindow = null;
+        Window_HorzCommand.prototype.initialize.call(this, x, y);
+    };
+
+    Window_CraftCategory.prototype.windowWidth = function() {
+        return Graphics.boxWidth;
+    };
+
+    Window_CraftCategory.prototype.maxCols = function() {
+        return 6;
+    };
+
+    Window_CraftCategory.sortNames = {
+        default: sortNames[0], name: sortNames[1], craftable: sortNames[2], cost: sortNames[3]
+    };
+
+    Window_CraftCategory.prototype.makeCommandList = function() {
+        recipeCategories().forEach(function(category) {
+            this.addCommand(category, 'category', true, category);
+        }, this);
+        var list = this._craftWindow;
+        this.addCommand(Window_CraftCategory.sortNames[list ? list.sortMode() : 'default'], 'sort');
+        this.addCommand(list && list.isHidingUncraftable() ? showAllText : craftableOnlyText, 'hide');
+    };
+
+    Window_CraftCategory.prototype.setCraftWindow = function(craftWindow) {
+        this._craftWindow = craftWindow;
+        this.refresh();
+        this.update();
+    };
+
+    Window_CraftCategory.prototype.update = function() {
+        Window_HorzCommand.prototype.update.call(this);
+        if (this._craftWindow && this.currentSymbol() === 'category') {
+            this._craftWindow.setCategory(this.currentExt());
+        }
+    };
+
+    // Window_CraftIngredients
+    //
+    // Inventory items that can go into an experiment.
+
+    function Window_CraftIngredients() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftIngredients.prototype = Object.create(Window_ItemList.prototype);
+    Window_CraftIngredients.prototype.constructor = Window_CraftIngredients;
+
+    Window_CraftIngredients.prototype.initialize = function(x, y, width, height) {
+        Window_ItemList.prototype.initialize.call(this, x, y, width, height);
+        this._picks = [];
+    };
+
+    Window_CraftIngredients.prototype.setPicks = function(picks) {
+        this._picks = picks;
+        this.refresh();
+    };
+
+    Window_CraftIngredients.prototype.includes = function(item) {
+        if (DataManager.isItem(item)) {
+            return item.itypeId === 1;
+        }
+        return DataManager.isWeapon(item) || DataManager.isArmor(item);
+    };
+
+    // An item can be chosen again only while the party has copies left.
+    Window_CraftIngredients.prototype.isEnabled = function(item) {
+        var picks = this._picks || [];
+        var picked = picks.filter(function(pick) {
+            return pick === item;
+        }).length;
+        return !!item && picks.length < 4 && $gameParty.numItems(item) > picked;
+    };
+
+    // Window_CraftExperiment
+    //
+    // Commands for building and combining an experiment.
+
+    function Window_CraftExperiment() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftExperiment.prototype = Object.create(Window_Command.prototype);
+    Window_CraftExperiment.prototype.constructor = Window_CraftExperiment;
+
+    Window_CraftExperiment.prototype.initialize = function(x, y) {
+        this._picks = [];
+        Window_Command.prototype.initialize.call(this, x, y);
+        this.deactivate();
+        this.deselect();
+    };
+
+    Window_CraftExperiment.prototype.windowWidth = function() {
+        return 240;
+    };
+
+    Window_CraftExperiment.prototype.setPicks = function(picks) {
+        this._picks = picks;
+        this.refresh();
+    };
+
+    Window_CraftExperiment.prototype.makeCommandList = function() {
+        this.addCommand(experimentCommands[0], 'add', this._picks.length < 4);
+        this.addCommand(experimentCommands[1], 'combine', this._picks.length >= 2);
+        this.addCommand(experimentCommands[2], 'clear', this._picks.length > 0);
+    };
+
+    // Window_CraftSlots
+    //
+    // Shows the items chosen for an experiment.
+
+    function Window_CraftSlots() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftSlots.prototype = Object.create(Window_Base.prototype);
+    Window_CraftSlots.prototype.constructor = Window_CraftSlots;
+
+    Window_CraftSlots.prototype.initialize = function(x, y, width, height) {
+        Window_Base.prototype.initialize.call(this, x, y, width, height);
+        this._picks = [];
+        this.refresh();
+    };
+
+    Window_CraftSlots.prototype.setPicks = function(picks) {
+        this._picks = picks;
+        this.refresh();
+    };
+
+    Window_CraftSlots.prototype.refresh = function() {
+        this.contents.clear();
+        var lineHeight = this.lineHeight();
+        this.drawText(ingredientsLabel.format(this._picks.length, 4), 0, 0, this.contents.width);
+        this._picks.forEach(function(item, i) {
+            this.drawItemName(item, 0, lineHeight * (i + 1), this.contents.width);
+        }, this);
+    };
+
+    //=========================================================================
+    // Salvage
+    //=========================================================================
+    // Reverses a recipe: the party gives up one weapon or armor from the bag
+    // and gets back part of the recipe's inputs, or the note's <salvage> list.
+
+    Scene_Craft.prototype.createSalvageWindows = function() {
+        var y = this._categoryWindow.y;
+        this._salvageWindow = new Window_CraftSalvage(0, y, Graphics.boxWidth, this._detailsWindow.y - y);
+        this._salvageWindow.setHandler('ok', this.onSalvageOk.bind(this));
+        this._salvageWindow.setHandler('cancel', this.onSalvageCancel.bind(this));
+        this.addWindow(this._salvageWindow);
+        this._salvageInfoWindow = new Window_CraftSalvageInfo(this._detailsWindow.x, this._detailsWindow.y,
+            this._detailsWindow.width, this._detailsWindow.height);
+        this._salvageWindow.setInfoWindow(this._salvageInfoWindow);
+        this.addWindow(this._salvageInfoWindow);
+    };
+
+    Scene_Craft.prototype.onModeSalvage = function() {
+        this._salvageWindow.refresh();
+        this._salvageWindow.activate();
+        this._salvageWindow.select(0);
+    };
+
+    Scene_Craft.prototype.onSalvageOk = function() {
+        var item = this._salvageWindow.item();
+        var products = this.doSalvage(item);
+        var names = products.map(function(product) {
+            return `${getDataItem(product.type, product.id).name} x${product.quantity}`;
+        });
+        this.showNotification(names.length > 0 ? salvageText.format(item.name, names.join(', ')) : salvageEmptyText.format(item.name));
+        this._salvageWindow.refresh();
+        this._salvageWindow.activate();
+    };
+
+    Scene_Craft.prototype.onSalvageCancel = function() {
+        this._salvageWindow.deselect();
+        this._salvageInfoWindow.setItem(null);
+        this._modeWindow.activate();
+    };
+
+    // Only the inventory is touched, so equipped copies are safe.
+    Scene_Craft.prototype.doSalvage = function(item) {
+        var products = rollSalvageProducts(item);
+        $gameParty.loseItem(item, 1);
+        this.gainProducts(products);
+        SoundManager.playShop();
+        return products;
+    };
+
+    // The <salvage> list of a note as entries, or null when there is none.
+    function parseSalvageNote(note, problems) {
+        var match = /<salvage>([\s\S]*?)<\/salvage>/i.exec(note || '');
+        if (!match) {
+            return null;
+        }
+        var entries = [];
+        match[1].split(/\r?\n/).forEach(function(line) {
+            line = line.trim();
+            if (line) {
+                var entry = parseRecipeEntry(line, 'Salvage', problems);
+                if (entry) {
+                    entry.quantity = entry.quantity || 1;
+                    entries.push(entry);
+                }
+            }
+        });
+        return entries;
+    }
+
+    // What salvaging one copy gives back on average: the <salvage> list, or
+    // the Salvage Rate of the first recipe that makes the item. Quality
+    // copies salvage like the plain item.
+    function salvageReturns(item) {
+        if (!item) {
+            return [];
+        }
+        var type = dataItemType(item);
+        var baseId = item.baseItemId || item.id;
+        var custom = parseSalvageNote(getDataItem(type, baseId).note);
+        if (custom) {
+            return custom;
+        }
+        var recipe = allRecipes().filter(function(recipe) {
+            return recipe.result.type === type && recipe.result.id === baseId;
+        })[0];
+        if (!recipe) {
+            return [];
+        }
+        return recipeInputs(recipe).map(function(material) {
+            return { type: material.type, id: material.id, quantity: material.quantity * salvageRate / (recipe.yield || 1) };
+        }).filter(function(entry) {
+            return entry.quantity > 0;
+        });
+    }
+
+    function canSalvage(item) {
+        return (DataManager.isWeapon(item) || DataManager.isArmor(item)) && salvageReturns(item).length > 0;
+    }
+
+    // Rolls the fractions of salvageReturns into whole items.
+    function rollSalvageProducts(item) {
+        return salvageReturns(item).map(function(entry) {
+            var quantity = Math.floor(entry.quantity);
+            if (CraftRandom.next() < entry.quantity - quantity) {
+                quantity++;
+            }
+            return { type: entry.type, id: entry.id, quantity: quantity };
+        }).filter(function(product) {
+            return product.quantity > 0;
+        });
+    }
+
+    // Window_CraftSalvage
+    //
+    // The weapons and armors in the bag. Items without anything to give back
+    // are shown disabled.
+
+    function Window_CraftSalvage() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftSalvage.prototype = Object.create(Window_ItemList.prototype);
+    Window_CraftSalvage.prototype.constructor = Window_CraftSalvage;
+
+    Window_CraftSalvage.prototype.initialize = function(x, y, width, height) {
+        Window_ItemList.prototype.initialize.call(this, x, y, width, height);
+        this._infoWindow = null;
+    };
+
+    Window_CraftSalvage.prototype.setInfoWindow = function(infoWindow) {
+        this._infoWindow = infoWindow;
+        this.updateInfo();
+    };
+
+    Window_CraftSalvage.prototype.includes = function(item) {
+        return DataManager.isWeapon(item) || DataManager.isArmor(item);
+    };
+
+    Window_CraftSalvage.prototype.isEnabled = function(item) {
+        return canSalvage(item);
+    };
+
+    Window_CraftSalvage.prototype.update = function() {
+        Window_ItemList.prototype.update.call(this);
+        this.updateInfo();
+    };
+
+    Window_CraftSalvage.prototype.updateInfo = function() {
+        if (this._infoWindow && this.active) {
+            this._infoWindow.setItem(this.item());
+        }
+    };
+
+    // Window_CraftSalvageInfo
+    //
+    // What the item under the cursor gives back.
+
+    function Window_CraftSalvageInfo() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftSalvageInfo.prototype = Object.create(Window_Base.prototype);
+    Window_CraftSalvageInfo.prototype.constructor = Window_CraftSalvageInfo;
+
+    Window_CraftSalvageInfo.prototype.initialize = function(x, y, width, height) {
+        Window_Base.prototype.initialize.call(this, x, y, width, height);
+        this._item = null;
+        this.refresh();
+    };
+
+    Window_CraftSalvageInfo.prototype.setItem = function(item) {
+        if (this._item !== item) {
+            this._item = item;
+            this.refresh();
+        }
+    };
+
+    Window_CraftSalvageInfo.prototype.refresh = function() {
+        var lineHeight = this.lineHeight();
+        var width = this.contentsWidth();
+        var y = 0;
+        this.contents.clear();
+        if (!this._item) {
+            return;
+        }
+        this.drawItemName(this._item, 0, y, width);
+        y += lineHeight;
+        var returns = salvageReturns(this._item);
+        if (returns.length === 0) {
+            this.drawText(noSalvageText, 0, y, width);
+            return;
+        }
+        this.changeTextColor(this.systemColor());
+        this.drawText(salvageReturnsLabel, 0, y, width);
+        this.resetTextColor();
+        y += lineHeight;
+        returns.forEach(function(entry) {
+            var low = Math.floor(entry.quantity);
+            var high = Math.ceil(entry.quantity);
+            this.drawItemName(getDataItem(entry.type, entry.id), 0, y, width / 2);
+            this.drawText(low === high ? `x${low}` : `x${low}~${high}`, width / 2, y, 120);
+            y += lineHeight;
+        }, this);
+    };
+
+    //=========================================================================
+    // Timed jobs
+    //=========================================================================
+    // A job is a paid-for craft waiting on a Multi Timers timer. The party
+    // keeps the jobs and the timer keeps the countdown, and both are saved.
+    // Finished jobs report through a craft toast, wherever the party is.
+
+    function isTimedRecipe(recipe) {
+        return recipe.time > 0 && !recipe.upgrade;
+    }
+
+    function formatCraftTime(seconds) {
+        var hours = Math.floor(seconds / 3600);
+        var min = Math.floor(seconds / 60) % 60;
+        var sec = seconds % 60;
+        var text = (hours > 0 ? hours + ':' + min.padZero(2) : min) + ':' + sec.padZero(2);
+        return text;
+    }
+
+    function craftJobTimerKey(job) {
+        return 'CRAFTJOB' + job.id;
+    }
+
+    Game_Party.prototype.craftJobs = function() {
+        if (!this._craftJobs) {
+            this._craftJobs = [];
+            this._craftJobCount = 0;
+        }
+        return this._craftJobs;
+    };
+
+    Game_Party.prototype.startCraftJob = function(recipe, times) {
+        if (!$gameTimer.addTimer) {
+            console.warn('craft_system: timed recipes need timedelay.js, crafting at once.');
+            return this.finishCraftJobNow(recipe, times);
+        }
+        payRecipe(recipe, times);
+        var jobs = this.craftJobs();
+        var job = {
+            id: ++this._craftJobCount, recipeIndex: allRecipes().indexOf(recipe),
+            type: recipe.result.type, resultId: recipe.result.id, times: times
+        };
+        jobs.push(job);
+        $gameTimer.addTimer(craftJobTimerKey(job), recipe.time, `$gameParty.finishCraftJob(${job.id})`);
+        return job;
+    };
+
+    Game_Party.prototype.finishCraftJobNow = function(recipe, times) {
+        var outcome = craftRecipe(recipe, times);
+        showCraftToast(`${getDataItem(recipe.result.type, recipe.result.id).name}: ` + craftOutcomeMessage(recipe, outcome));
+        return null;
+    };
+
+    // Called by the job's timer.
+    Game_Party.prototype.finishCraftJob = function(jobId) {
+        var job = this.removeCraftJob(jobId);
+        var recipe = job && craftJobRecipe(job);
+        if (recipe) {
+            var outcome = resolveCraft(recipe, job.times);
+            showCraftToast(jobReadyText.format(getDataItem(job.type, job.resultId).name) + ' ' + craftOutcomeMessage(recipe, outcome));
+        }
+    };
+
+    // Stops the job and gives back its materials and costs in full. A job
+    // whose recipe is gone from the database keeps running, since there is
+    // nothing left to tell what it cost.
+    Game_Party.prototype.cancelCraftJob = function(jobId) {
+        var job = this.craftJobs().filter(function(job) {
+            return job.id === jobId;
+        })[0];
+        if (!job) {
+            return false;
+        }
+        var recipe = craftJobRecipe(job);
+        if (!recipe) {
+            console.warn(`craft_system: cannot cancel the job for ${job.type} ${job.resultId}, its recipe is missing.`);
+            return false;
+        }
+        this.removeCraftJob(jobId);
+        $gameTimer.deleteTimer(craftJobTimerKey(job));
+        gainCraftProducts(totalRecipeMaterials(recipe).map(function(material) {
+            return { type: material.type, id: material.id, quantity: material.quantity * job.times };
+        }));
+        recipe.costs.forEach(function(cost) {
+            if (cost.kind !== 'item') {
+                payCraftCost(cost, -job.times);
+            }
+        });
+        return true;
+    };
+
+    Game_Party.prototype.removeCraftJob = function(jobId) {
+        var jobs = this.craftJobs();
+        for (var i = 0; i < jobs.length; i++) {
+            if (jobs[i].id === jobId) {
+                return jobs.splice(i, 1)[0];
+            }
+        }
+        return null;
+    };
+
+    // Seconds until the job finishes.
+    Game_Party.prototype.craftJobTimeLeft = function(job) {
+        return $gameTimer.hasTimer ? $gameTimer.hasTimer(craftJobTimerKey(job)) || 0 : 0;
+    };
+
+    // The recipe a saved job was started from, found again by its index and
+    // checked against the result in case the database changed.
+    function craftJobRecipe(job) {
+        var recipes = allRecipes();
+        var recipe = recipes[job.recipeIndex];
+        if (recipe && recipe.result.type === job.type && recipe.result.id === job.resultId) {
+            return recipe;
+        }
+        return recipes.filter(function(recipe) {
+            return recipe.result.type === job.type && recipe.result.id === job.resultId;
+        })[0] || null;
+    }
+
+    Scene_Craft.prototype.createJobWindow = function() {
+        var y = this._categoryWindow.y;
+        this._jobWindow = new Window_CraftJobs(0, y, Graphics.boxWidth, Graphics.boxHeight - y);
+        this._jobWindow.setHandler('ok', this.onJobOk.bind(this));
+        this._jobWindow.setHandler('cancel', this.onJobCancel.bind(this));
+        this.addWindow(this._jobWindow);
+    };
+
+    Scene_Craft.prototype.onModeJobs = function() {
+        this._jobWindow.refresh();
+        this._jobWindow.activate();
+        this._jobWindow.select(0);
+        this._helpWindow.setText(jobsHelpText);
+    };
+
+    Scene_Craft.prototype.onJobOk = function() {
+        var job = this._jobWindow.job();
+        if (!$gameParty.cancelCraftJob(job.id)) {
+            SoundManager.playBuzzer();
+            this._jobWindow.activate();
+            return;
+        }
+        SoundManager.playCancel();
+        this.showNotification(jobCancelledText.format(getDataItem(job.type, job.resultId).name));
+        this._jobWindow.refresh();
+        this._jobWindow.select(Math.min(this._jobWindow.index(), this._jobWindow.maxItems() - 1));
+        this._jobWindow.activate();
+    };
+
+    Scene_Craft.prototype.onJobCancel = function() {
+        this._jobWindow.deselect();
+        this._helpWindow.clear();
+        this._modeWindow.activate();
+    };
+
+    // Window_CraftJobs
+    //
+    // The running jobs with the time each has left.
+
+    function Window_CraftJobs() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftJobs.prototype = Object.create(Window_Selectable.prototype);
+    Window_CraftJobs.prototype.constructor = Window_CraftJobs;
+
+    Window_CraftJobs.prototype.initialize = function(x, y, width, height) {
+        Window_Selectable.prototype.initialize.call(this, x, y, width, height);
+        this._data = [];
+        this.refresh();
+    };
+
+    Window_CraftJobs.prototype.maxItems = function() {
+        return this._data.length;
+    };
+
+    Window_CraftJobs.prototype.job = function() {
+        return this._data[this.index()] || null;
+    };
+
+    Window_CraftJobs.prototype.isCurrentItemEnabled = function() {
+        return !!this.job();
+    };
+
+    Window_CraftJobs.prototype.refresh = function() {
+        this._data = $gameParty.craftJobs().slice();
+        this.createContents();
+        this.drawAllItems();
+    };
+
+    Window_CraftJobs.prototype.drawItem = function(index) {
+        var job = this._data[index];
+        var rect = this.itemRectForText(index);
+        var item = getDataItem(job.type, job.resultId);
+        this.drawItemName(item, rect.x, rect.y, rect.width - 240);
+        this.drawText(`x${job.times}`, rect.x + rect.width - 240, rect.y, 60, 'right');
+        this.drawText(formatCraftTime($gameParty.craftJobTimeLeft(job)), rect.x + rect.width - 160, rect.y, 160, 'right');
+    };
+
+    //=========================================================================
+    // Plugin commands
+    //=========================================================================
+
+    var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+    Game_Interpreter.prototype.pluginCommand = function(command, args) {
+        _Game_Interpreter_pluginCommand.call(this, command, args);
+        if (command === 'Craft') {
+            var entry = args[2] ? parseRecipeEntry(args[1] + ' ' + args[2]) : null;
+            var station = eventStation(this._eventId) || mapStation();
+            switch (args[0]) {
+            case 'open':
+                CraftManager.open(args.slice(1).join(' '), station);
+                break;
+            case 'canCraft':
+                if (entry) {
+                    $gameSwitches.setValue(Number(args[3]), CraftManager.canCraft(entry.type, entry.id, station));
+                }
+                break;
+            case 'count':
+                if (entry) {
+                    $gameVariables.setValue(Number(args[3]), CraftManager.maxCraftable(entry.type, entry.id, station));
+                }
+                break;
+            case 'force':
+                if (entry) {
+                    CraftManager.force(entry.type, entry.id, Number(args[3] || 1));
+                }
+                break;
+            case 'enable':
+                CraftManager.setEnabled(true);
+                break;
+            case 'disable':
+                CraftManager.setEnabled(false);
+                break;
+            case 'learn':
+                if (entry) {
+                    $gameSystem.learnRecipe(entry.type, entry.id);
+                }
+                break;
+            case 'forget':
+                if (entry) {
+                    $gameSystem.forgetRecipe(entry.type, entry.id);
+                }
+                break;
+            }
+        }
+    };
+
+    //=========================================================================
+    // CraftManager
+    //=========================================================================
+    // The script-call face of the plugin. It only wraps the helpers above.
+
+    var CraftManager = {
+        // Opens the crafting scene. name may be a category tab or a station;
+        // without a station the event's or map's <Craft Station> is used.
+        open: function(name, station) {
+            if (!this.isEnabled()) {
+                return false;
+            }
+            var category = '';
+            recipeCategories().forEach(function(tab) {
+                if (name && tab.toLowerCase() === name.toLowerCase()) {
+                    category = tab;
+                }
+            });
+            SceneManager.push(Scene_Craft);
+            SceneManager.prepareNextScene((category ? '' : name) || station || mapStation(), category);
+            return true;
+        },
+
+        isEnabled: function() {
+            var available = availabilityVariable <= 0 || $gameVariables.value(availabilityVariable) >= 1;
+            return available && !$gameSystem.isCraftDisabled();
+        },
+
+        setEnabled: function(enabled) {
+            $gameSystem.setCraftDisabled(!enabled);
+        },
+
+        recipes: function() {
+            return allRecipes();
+        },
+
+        recipesFor: function(type, id) {
+            return allRecipes().filter(function(recipe) {
+                return recipe.result.type === type && recipe.result.id === id;
+            });
+        },
+
+        // The recipe for the item that can be crafted most often right now at
+        // the station; without one only station-free recipes count.
+        bestRecipeFor: function(type, id, station) {
+            return this.recipesFor(type, id).reduce(function(best, recipe) {
+                return !best || recipeCraftLimit(recipe, false, station).max >
+                    recipeCraftLimit(best, false, station).max ? recipe : best;
+            }, null);
+        },
+
+        canCraft: function(type, id, station) {
+            return this.maxCraftable(type, id, station) > 0;
+        },
+
+        maxCraftable: function(type, id, station) {
+            var recipe = this.bestRecipeFor(type, id, station);
+            return recipe ? recipeCraftLimit(recipe, false, station).max : 0;
+        },
+
+        // Returns null when nothing can be crafted.
+        craft: function(type, id, times, station) {
+            var recipe = this.bestRecipeFor(type, id, station);
+            times = times || 1;
+            if (!recipe || recipeCraftLimit(recipe, false, station).max < times) {
+                return null;
+            }
+            return craftRecipe(recipe, times);
+        },
+
+        force: function(type, id, times) {
+            var recipe = this.recipesFor(type, id)[0];
+            for (var n = 0; n < (times || 1); n++) {
+                if (recipe) {
+                    gainCraftProducts(rollQualityProducts(recipe, recipeProducts(recipe)));
+                } else {
+                    $gameParty.gainItem(getDataItem(type, id), 1);
+                }
+            }
+        },
+
+        learn: function(type, id) {
+            $gameSystem.learnRecipe(type, id);
+        },
+
+        forget: function(type, id) {
+            $gameSystem.forgetRecipe(type, id);
+        },
+
+        isKnown: function(type, id) {
+            return $gameSystem.isRecipeKnown(type, id);
+        },
+
+        isMenuShown: function() {
+            return menuShowSwitch <= 0 || $gameSwitches.value(menuShowSwitch);
+        },
+
+        isMenuEnabled: function() {
+            if (!this.isEnabled() || (menuEnableSwitch > 0 && !$gameSwitches.value(menuEnableSwitch))) {
+                return false;
+            }
+            return !menuEnableEval || !!eval(menuEnableEval);
+        }
+    };
+    window.CraftManager = CraftManager;
+
+    Game_System.prototype.isCraftDisabled = function() {
+        return !!this._craftDisabled;
+    };
+
+    Game_System.prototype.setCraftDisabled = function(disabled) {
+        this._craftDisabled = disabled;
+    };
+
+    //=========================================================================
+    // Crafting stations
+    //=========================================================================
+
+    // A recipe with a Station line can only be crafted at that station.
+    function isRecipeAtStation(recipe, station) {
+        return !recipe.station || (!!station && recipe.station.toLowerCase() === station.toLowerCase());
+    }
+
+    // <Craft Station: Forge> in the current map's note
+    function mapStation() {
+        var station = $dataMap && $dataMap.meta ? $dataMap.meta['Craft Station'] : null;
+        return typeof station === 'string' ? station.trim() : '';
+    }
+
+    // <Craft Station: Forge> in an event's note
+    function eventStation(eventId) {
+        var event = eventId > 0 ? $gameMap.event(eventId) : null;
+        var station = event && event.event().meta ? event.event().meta['Craft Station'] : null;
+        return typeof station === 'string' ? station.trim() : '';
+    }
+
+    //=========================================================================
+    // Recipe discovery
+    //=========================================================================
+
+    function recipeKey(type, id) {
+        return type + ' ' + id;
+    }
+
+    function isRecipeKnown(recipe) {
+        return !recipeDiscovery || $gameSystem.isRecipeKnown(recipe.result.type, recipe.result.id);
+    }
+
+    Game_System.prototype.knownRecipes = function() {
+        if (!this._knownRecipes) {
+            this._knownRecipes = {};
+        }
+        return this._knownRecipes;
+    };
+
+    Game_System.prototype.learnRecipe = function(type, id) {
+        this.knownRecipes()[recipeKey(type, id)] = true;
+    };
+
+    Game_System.prototype.forgetRecipe = function(type, id) {
+        delete this.knownRecipes()[recipeKey(type, id)];
+    };
+
+    Game_System.prototype.isRecipeKnown = function(type, id) {
+        return !!this.knownRecipes()[recipeKey(type, id)];
+    };
+
+    // <teach recipe: Weapon 19> entries of an item note
+    function taughtRecipes(item) {
+        var entries = [];
+        if (item && item.note) {
+            var regex = /<teach recipe:\s*([^>]+)>/ig;
+            var match;
+            while ((match = regex.exec(item.note)) !== null) {
+                var entry = parseRecipeEntry(match[1].trim());
+                if (entry) {
+                    entries.push(entry);
+                }
+            }
+        }
+        return entries;
+    }
+
+    // A recipe scroll can be used even when it has no other effect, as long
+    // as it still teaches something new.
+    var _Game_Action_testApply = Game_Action.prototype.testApply;
+    Game_Action.prototype.testApply = function(target) {
+        return _Game_Action_testApply.call(this, target) || taughtRecipes(this.item()).some(function(entry) {
+            return !$gameSystem.isRecipeKnown(entry.type, entry.id);
+        });
+    };
+
+    var _Game_Action_applyGlobal = Game_Action.prototype.applyGlobal;
+    Game_Action.prototype.applyGlobal = function() {
+        _Game_Action_applyGlobal.call(this);
+        taughtRecipes(this.item()).forEach(function(entry) {
+            $gameSystem.learnRecipe(entry.type, entry.id);
+        });
+    };
+
+    // Auto Learn: a recipe is learned once every material is in the bag.
+    var _Game_Party_gainItem = Game_Party.prototype.gainItem;
+    Game_Party.prototype.gainItem = function(item, amount, includeEquip) {
+        _Game_Party_gainItem.call(this, item, amount, includeEquip);
+        if (autoLearnRecipes && recipeDiscovery && amount > 0 && $gameSystem) {
+            this.learnRecipesFromMaterials();
+        }
+    };
+
+    Game_Party.prototype.learnRecipesFromMaterials = function() {
+        allRecipes().forEach(function(recipe) {
+            var inputs = recipeInputs(recipe);
+            if (inputs.length > 0 && !$gameSystem.isRecipeKnown(recipe.result.type, recipe.result.id)) {
+                var hasAll = inputs.every(function(material) {
+                    return this.hasItem(getDataItem(material.type, material.id));
+                }, this);
+                if (hasAll) {
+                    $gameSystem.learnRecipe(recipe.result.type, recipe.result.id);
+                }
+            }
+        }, this);
+    };
+
+    //=========================================================================
+    // Costs
+    //=========================================================================
+
+    function craftCostName(cost) {
+        if (cost.kind === 'gold') {
+            return currencyName || TextManager.currencyUnit;
+        } else if (cost.kind === 'variable') {
+            return $dataSystem.variables[cost.id] || `Variable ${cost.id}`;
+        }
+        var item = getDataItem(cost.type, cost.id);
+        return item ? item.name : 'Unknown Item';
+    }
+
+    function craftCostIcon(cost) {
+        if (cost.kind === 'gold') {
+            return goldCostIcon || (window.Yanfly && Yanfly.Icon ? Yanfly.Icon.Gold || 0 : 0);
+        } else if (cost.kind === 'variable') {
+            return variableCostIcons[cost.id] || 0;
+        }
+        var item = getDataItem(cost.type, cost.id);
+        return item ? item.iconIndex : 0;
+    }
+
+    // What the recipe's costs come to together, for the cost sort: gold as
+    // is, items at their database price and variables at 1 per point.
+    function recipeCostValue(recipe) {
+        return recipe.costs.reduce(function(total, cost) {
+            if (cost.kind === 'item') {
+                var item = getDataItem(cost.type, cost.id);
+                return total + cost.amount * Math.max(item ? item.price : 0, 1);
+            }
+            return total + cost.amount;
+        }, 0);
+    }
+
+    function craftCostHeld(cost) {
+        if (cost.kind === 'gold') {
+            return $gameParty.gold();
+        } else if (cost.kind === 'variable') {
+            return $gameVariables.value(cost.id);
+        }
+        return $gameParty.numItems(getDataItem(cost.type, cost.id));
+    }
+
+    function payCraftCost(cost, times) {
+        var amount = cost.amount * times;
+        if (cost.kind === 'gold') {
+            $gameParty.loseGold(amount);
+        } else if (cost.kind === 'variable') {
+            $gameVariables.setValue(cost.id, $gameVariables.value(cost.id) - amount);
+        } else {
+            $gameParty.loseItem(getDataItem(cost.type, cost.id), amount);
+        }
+    }
+
+    //=========================================================================
+    // Crafting level
+    //=========================================================================
+    // EXP and level live in a { level, exp } record on the party, or on the
+    // crafting actor in actor mode. Records are created on first use, so
+    // older saves start at level 1.
+
+    function recipeCraftExp(recipe) {
+        return recipe.exp === null || recipe.exp === undefined ? defaultCraftExp : recipe.exp;
+    }
+
+    function craftExpForLevel(level) {
+        return craftLevelExp * level;
+    }
+
+    // The actor who crafts in actor mode: the first party member tagged <Smith>.
+    Game_Party.prototype.craftSmith = function() {
+        if (proficiencyMode !== 'actor') {
+            return null;
+        }
+        return this.members().filter(function(actor) {
+            return actor.isCraftSmith();
+        })[0] || null;
+    };
+
+    Game_Actor.prototype.isCraftSmith = function() {
+        return !!(this.actor().meta.Smith || this.currentClass().meta.Smith);
+    };
+
+    Game_Party.prototype.craftProficiency = function() {
+        var owner = this.craftSmith() || this;
+        if (!owner._craftProficiency) {
+            owner._craftProficiency = { level: 1, exp: 0 };
+        }
+        return owner._craftProficiency;
+    };
+
+    Game_Party.prototype.craftLevel = function() {
+        return this.craftProficiency().level;
+    };
+
+    Game_Party.prototype.craftExp = function() {
+        return this.craftProficiency().exp;
+    };
+
+    // EXP still needed for the next level, or 0 at the max level.
+    Game_Party.prototype.craftExpToNextLevel = function() {
+        var proficiency = this.craftProficiency();
+        if (proficiency.level >= maxCraftLevel) {
+            return 0;
+        }
+        return craftExpForLevel(proficiency.level) - proficiency.exp;
+    };
+
+    // EXP counts up within the current level and resets on level up.
+    Game_Party.prototype.gainCraftExp = function(exp) {
+        var proficiency = this.craftProficiency();
+        proficiency.exp += exp;
+        while (proficiency.level < maxCraftLevel && proficiency.exp >= craftExpForLevel(proficiency.level)) {
+            proficiency.exp -= craftExpForLevel(proficiency.level);
+            proficiency.level++;
+        }
+        if (proficiency.level >= maxCraftLevel) {
+            proficiency.exp = 0;
+        }
+    };
+
+    // Window_CraftProficiency
+    //
+    // The crafter's name, level and EXP to the next level.
+
+    function Window_CraftProficiency() {
+        this.initialize.apply(this, arguments);
+    }
+
+    Window_CraftProficiency.prototype = Object.create(Window_Base.prototype);
+    Window_CraftProficiency.prototype.constructor = Window_CraftProficiency;
+
+    Window_CraftProficiency.prototype.initialize = function(x, y, width, height) {
+        Window_Base.prototype.initialize.call(this, x, y, width, height);
+        this.refresh();
+    };
+
+    Window_CraftProficiency.prototype.refresh = function() {
+        var smith = $gameParty.craftSmith();
+        var width = this.contentsWidth();
+        var next = $gameParty.craftExpToNextLevel();
+        this.contents.clear();
+        this.changeTextColor(this.systemColor());
+        this.drawText(smith ? smith.name() : crafterLabel, 0, 0, width / 2);
+        this.drawText(TextManager.levelA, width / 2, 0, 48);
+        this.resetTextColor();
+        this.drawText($gameParty.craftLevel(), width / 2 + 48, 0, 36, 'right');
+        this.drawText(next > 0 ? nextLevelText.format(next) : maxLevelText, width / 2 + 96, 0, width / 2 - 96, 'right');
+    };
+
+    //=========================================================================
+    // Quality
+    //=========================================================================
+    // Each base item and tier gets one generated database entry in
+    // $dataWeapons or $dataArmors, from qualityIdBase up. $gameSystem records
+    // which ids were made so a loaded save can put them back before anything
+    // looks them up.
+
+    function recipeRollsQuality(recipe) {
+        var item = getDataItem(recipe.result.type, recipe.result.id);
+        return recipe.quality && qualityTiers.length > 0 && (DataManager.isWeapon(item) || DataManager.isArmor(item));
+    }
+
+    // Splits the result of one craft into one product per rolled tier.
+    function rollQualityProducts(recipe, products) {
+        var result = products[0];
+        var item = result && getDataItem(result.type, result.id);
+        if (!recipeRollsQuality(recipe) || !(DataManager.isWeapon(item) || DataManager.isArmor(item))) {
+            return products;
+        }
+        var rolled = [];
+        for (var n = 0; n < result.quantity; n++) {
+            var quality = craftQualityItem(item, rollQualityTier(recipe));
+            var existing = rolled.filter(function(product) {
+                return product.id === quality.id;
+            })[0];
+            if (existing) {
+                existing.quantity++;
+            } else {
+                rolled.push({ type: result.type, id: quality.id, quantity: 1 });
+            }
+        }
+        return rolled.concat(products.slice(1));
+    }
+
+    function rollQualityTier(recipe) {
+        var total = qualityTiers.reduce(function(sum, tier) {
+            return sum + tier.weight;
+        }, 0);
+        var levels = Math.max(0, $gameParty.craftLevel() - Math.max(recipe.level || 0, 1));
+        var roll = Math.min(CraftRandom.next() + levels * levelQualityBonus, 0.999999) * total;
+        for (var i = 0; i < qualityTiers.length; i++) {
+            roll -= qualityTiers[i].weight;
+            if (roll < 0) {
+                return qualityTiers[i];
+            }
+        }
+        return qualityTiers[qualityTiers.length - 1];
+    }
+
+    function qualityParam(value, rate) {
+        return Math.round(value * rate);
+    }
+
+    // Quality copies get ids from here up, well past the database's own
+    // entries, so weapons and armors added to the database later never take
+    // the ids an old save file uses for its copies.
+    var qualityIdBase = 10000;
+
+    // The database entry for an item of the given tier, made on first use.
+    function craftQualityItem(item, tier) {
+        if (tier.rate === 1 || item.craftQuality) {
+            return item;
+        }
+        var type = DataManager.isWeapon(item) ? 'Weapon' : 'Armor';
+        var record = $gameSystem.craftQualityRecords().filter(function(record) {
+            return record.type === type && record.baseId === item.id && record.tier === tier.name;
+        })[0];
+        if (!record) {
+            var table = type === 'Weapon' ? $dataWeapons : $dataArmors;
+            record = { type: type, baseId: item.id, tier: tier.name, id: Math.max(table.length, qualityIdBase) };
+            $gameSystem.craftQualityRecords().push(record);
+            registerQualityItem(record);
+        }
+        return getDataItem(type, record.id);
+    }
+
+    function registerQualityItem(record) {
+        var table = record.type === 'Weapon' ? $dataWeapons : $dataArmors;
+        var base = table[record.baseId];
+        if (table[record.id] && !table[record.id].craftQuality) {
+            console.error(`craft_system: ${record.type} ${record.id} is a database entry, not a quality copy.`);
+            return;
+        }
+        var tier = qualityTiers.filter(function(tier) {
+            return tier.name === record.tier;
+        })[0] || { name: record.tier, rate: 1 };
+        var item = JsonEx.makeDeepCopy(base);
+        item.id = record.id;
+        item.name = qualityNameFormat.format(base.name, tier.name);
+        item.note = base.note.replace(recipeBlockRegex, '');
+        item.params = base.params.map(function(value) {
+            return qualityParam(value, tier.rate);
+        });
+        item.price = qualityParam(base.price, tier.rate);
+        item.baseItemId = base.id;
+        item.craftQuality = tier.name;
+        while (table.length < record.id) {
+            table.push(null);
+        }
+        table[record.id] = item;
+    }
+
+    // Drops the entries of the previous game so ids start over.
+    function clearQualityItems() {
+        [$dataWeapons, $dataArmors].forEach(function(table) {
+            while (table.length > 0 && (!table[table.length - 1] || table[table.length - 1].craftQuality)) {
+                table.pop();
+            }
+        });
+    }
+
+    Game_System.prototype.craftQualityRecords = function() {
+        if (!this._craftQualityRecords) {
+            this._craftQualityRecords = [];
+        }
+        return this._craftQualityRecords;
+    };
+
+    var _DataManager_createGameObjects = DataManager.createGameObjects;
+    DataManager.createGameObjects = function() {
+        _DataManager_createGameObjects.call(this);
+        clearQualityItems();
+    };
+
+    var _DataManager_extractSaveContents = DataManager.extractSaveContents;
+    DataManager.extractSaveContents = function(contents) {
+        _DataManager_extractSaveContents.call(this, contents);
+        clearQualityItems();
+        $gameSystem.craftQualityRecords().forEach(registerQualityItem);
+    };
+
+    //=========================================================================
+    // Success rate
+    //=========================================================================
+
+    var craftParamNames = ['mhp', 'mmp', 'atk', 'def', 'mat', 'mdf', 'agi', 'luk'];
+
+    // Base Success rate, plus Success Scaling on the party's best stat, plus
+    // the best <Craft Success: +N%> bonus of any party member, plus the
+    // crafting level bonus.
+    function craftSuccessRate(recipe) {
+        var rate = recipe.successRate === undefined ? 1 : recipe.successRate;
+        var members = $gameParty.members();
+        if (recipe.successScaling) {
+            var best = members.reduce(function(max, actor) {
+                return Math.max(max, actor.param(recipe.successScaling.paramId));
+            }, 0);
+            rate += best * recipe.successScaling.factor;
+        }
+        rate += members.reduce(function(max, actor) {
+            return Math.max(max, craftSuccessBonus(actor));
+        }, 0);
+        rate += Math.max(0, $gameParty.craftLevel() - Math.max(recipe.level || 0, 1)) * levelSuccessBonus;
+        return rate.clamp(0, 1);
+    }
+
+    function craftSuccessBonus(actor) {
+        return actor.traitObjects().reduce(function(sum, object) {
+            var match = object && object.note ? /<Craft Success:\s*([+-]?\d+(?:\.\d+)?)\s*%?>/i.exec(object.note) : null;
+            return match ? sum + Number(match[1]) / 100 : sum;
+        }, 0);
+    }
+
+    // Seedable random source for craft rolls. Without a seed it uses
+    // Math.random; CraftRandom.setSeed(n) makes the following rolls repeatable.
+    var CraftRandom = {
+        _seed: null,
+
+        setSeed: function(seed) {
+            this._seed = (seed === null || seed === undefined) ? null : Number(seed) >>> 0;
+        },
+
+        next: function() {
+            if (this._seed === null) {
+                return Math.random();
+            }
+            var t = this._seed = (this._seed + 0x6D2B79F5) >>> 0;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    };
+    window.CraftRandom = CraftRandom;
+
+    //=========================================================================
+    // Recipe validation
+    //=========================================================================
+    // Once items, weapons, armors and the system data are loaded, every <recipe> block is
+    // checked and the problems are printed to the console as one list.
+
+    var validateRecipes = String(parameters['Validate Recipes'] || 'true') === 'true';
+    var strictRecipeValidation = String(parameters['Strict Validation'] || 'false') === 'true';
+
+    var _DataManager_onLoad = DataManager.onLoad;
+    DataManager.onLoad = function(object) {
+        _DataManager_onLoad.call(this, object);
+        if (validateRecipes && !this._recipesValidated && $dataItems && $dataWeapons && $dataArmors && $dataSystem) {
+            this._recipesValidated = true;
+            var problems = collectRecipeProblems();
+            reportRecipeProblems(problems);
+            if (problems.length > 0 && strictRecipeValidation && Utils.isOptionValid('test')) {
+                throw new Error(`craft_system: ${problems.length} malformed recipe(s), see the console for details.`);
+            }
+        }
+    };
+
+    function collectRecipeProblems() {
+        var problems = [];
+        [['Item', $dataItems], ['Weapon', $dataWeapons], ['Armor', $dataArmors]].forEach(function(table) {
+            table[1].forEach(function(host) {
+                if (host && host.note) {
+                    validateRecipeNote(table[0], host).concat(validateSalvageNote(host)).forEach(function(message) {
+                        problems.push(`${table[0]} ${host.id} (${host.name}): ${message}`);
+                    });
+                }
+            });
+        });
+        return problems;
+    }
+
+    function validateSalvageNote(host) {
+        var problems = [];
+        (parseSalvageNote(host.note, problems) || []).forEach(function(entry) {
+            if (!getDataItem(entry.type, entry.id)) {
+                problems.push(`Salvage: ${entry.type} ${entry.id} does not exist.`);
+            }
+        });
+        return problems;
+    }
+
+    function validateRecipeNote(hostType, host) {
+        var problems = [];
+        var segments = host.note.split(/<recipe>/i).slice(1);
+        segments.forEach(function(segment, index) {
+            var prefix = segments.length > 1 ? `recipe ${index + 1}: ` : '';
+            var closing = segment.search(/<\/recipe>/i);
+            if (closing < 0) {
+                problems.push(prefix + 'missing </recipe> closing tag.');
+                return;
+            }
+            var blockProblems = [];
+            var recipe = readRecipeBlock(segment.slice(0, closing), blockProblems).recipe;
+            checkRecipeReferences(hostType, host, recipe, blockProblems);
+            blockProblems.forEach(function(message) {
+                problems.push(prefix + message);
+            });
+        });
+        return problems;
+    }
+
+    function checkRecipeReferences(hostType, host, recipe, problems) {
+        if (recipe.result && (recipe.result.type !== hostType || recipe.result.id !== host.id)) {
+            problems.push(`Result ${recipe.result.type} ${recipe.result.id} does not match the host ${hostType} ${host.id}.`);
+        }
+        [['Result', recipe.result], ['Requirement', recipe.requirement], ['Upgrade', recipe.upgrade]].forEach(function(entry) {
+            if (entry[1] && !getDataItem(entry[1].type, entry[1].id)) {
+                problems.push(`${entry[0]}: ${entry[1].type} ${entry[1].id} does not exist.`);
+            }
+        });
+        recipe.materials.forEach(function(material) {
+            if (!getDataItem(material.type, material.id)) {
+                problems.push(`Material: ${material.type} ${material.id} does not exist.`);
+            }
+        });
+        recipe.costs.forEach(function(cost) {
+            if (cost.kind === 'item' && !getDataItem(cost.type, cost.id)) {
+                problems.push(`Cost: ${cost.type} ${cost.id} does not exist.`);
+            } else if (cost.kind === 'variable' && !(cost.id > 0 && cost.id < $dataSystem.variables.length)) {
+                problems.push(`Cost: Variable ${cost.id} does not exist.`);
+            }
+        });
+        recipe.byproducts.forEach(function(byproduct) {
+            if (!getDataItem(byproduct.type, byproduct.id)) {
+                problems.push(`Byproduct: ${byproduct.type} ${byproduct.id} does not exist.`);
+            }
+        });
+        [['Great Success', recipe.greatResult], ['Failure', recipe.failure && recipe.failure.item]].forEach(function(entry) {
+            if (entry[1] && !getDataItem(entry[1].type, entry[1].id)) {
+                problems.push(`${entry[0]}: ${entry[1].type} ${entry[1].id} does not exist.`);
+            }
+        });
+    }
+
+    function reportRecipeProblems(problems) {
+        if (problems.length === 0) {
+            return;
+        }
+        console.warn(`craft_system: found ${problems.length} problem(s) in <recipe> note tags:\n` +
+            problems.map(function(message) {
+                return '  - ' + message;
+            }).join('\n'));
+    }
+
+    //=========================================================================
+    // Main menu
+    //=========================================================================
+
+    // The Craft command goes in after the list is built, so it also works
+    // when YEP_MainMenuManager builds the list. A Main Menu Manager entry
+    // with the craft symbol is left alone.
+    var _Window_MenuCommand_makeCommandList = Window_MenuCommand.prototype.makeCommandList;
+    Window_MenuCommand.prototype.makeCommandList = function() {
+        _Window_MenuCommand_makeCommandList.call(this);
+        if (this.findSymbol('craft') < 0 && CraftManager.isMenuShown()) {
+            this.addCommand(craftMenuName, 'craft', CraftManager.isMenuEnabled());
+            var command = this._list.pop();
+            this._list.splice(this.craftCommandIndex(), 0, command);
+        }
+    };
+
+    Window_MenuCommand.prototype.craftCommandIndex = function() {
+        if (menuPosition >= 0) {
+            return Math.min(menuPosition, this._list.length);
+        }
+        var index = ['options', 'save', 'gameEnd'].map(function(symbol) {
+            return this.findSymbol(symbol);
+        }, this).filter(function(index) {
+            return index >= 0;
+        })[0];
+        return index === undefined ? this._list.length : index;
+    };
+
+    var _Window_MenuCommand_drawItem = Window_MenuCommand.prototype.drawItem;
+    Window_MenuCommand.prototype.drawItem = function(index) {
+        if (menuIcon > 0 && this.commandSymbol(index) === 'craft') {
+            var rect = this.itemRectForText(index);
+            var iconWidth = Window_Base._iconWidth + 4;
+            this.resetTextColor();
+            this.changePaintOpacity(this.isCommandEnabled(index));
+            this.drawIcon(menuIcon, rect.x, rect.y + 2);
+            this.drawText(this.commandName(index), rect.x + iconWidth, rect.y, rect.width - iconWidth, this.itemTextAlign());
+        } else {
+            _Window_MenuCommand_drawItem.call(this, index);
+        }
+    };
+
+    var _Scene_Menu_createCommandWindow = Scene_Menu.prototype.createCommandWindow;
+    Scene_Menu.prototype.createCommandWindow = function() {
+        _Scene_Menu_createCommandWindow.call(this);
+        this._commandWindow.setHandler('craft', this.commandCraft.bind(this));
+        this.createCraftLockedWindow();
+    };
+
+    // A one-line help window at the bottom, shown only while the cursor is
+    // on a locked Craft command.
+    Scene_Menu.prototype.createCraftLockedWindow = function() {
+        this._craftLockedWindow = new Window_Help(1);
+        this._craftLockedWindow.y = Graphics.boxHeight - this._craftLockedWindow.height;
+        this._craftLockedWindow.setText(menuLockedText);
+        this._craftLockedWindow.hide();
+        this.addWindow(this._craftLockedWindow);
+    };
+
+    var _Scene_Menu_update = Scene_Menu.prototype.update;
+    Scene_Menu.prototype.update = function() {
+        _Scene_Menu_update.call(this);
+        if (this._craftLockedWindow) {
+            var command = this._commandWindow;
+            this._craftLockedWindow.visible = command.active && command.currentSymbol() === 'craft' &&
+                !command.isCurrentItemEnabled();
+        }
     };
 
+    // The menu is not at any station, so it shows station-free recipes only.
     Scene_Menu.prototype.commandCraft = function() {
         SceneManager.push(Scene_Craft);
+        SceneManager.prepareNextScene('');
     };
 })();
@@ -0,0 +1,222 @@
+/*:
+ * @plugindesc Short messages that pop up in any scene, stack, and fade out by themselves.
+ * @author Yikai Liu
+ *
+ * @param Duration
+ * @type number
+ * @min 1
+ * @desc How long a toast stays on screen by default, in frames (60 per second).
+ * @default 120
+ *
+ * @param Fade Frames
+ * @type number
+ * @min 0
+ * @desc How many frames a toast takes to fade in, and again to fade out.
+ * @default 15
+ *
+ * @param Max Toasts
+ * @type number
+ * @min 1
+ * @desc How many toasts are shown at once. Later ones wait their turn.
+ * @default 3
+ *
+ * @param Position
+ * @type select
+ * @option top
+ * @option bottom
+ * @desc Where the toasts stack up.
+ * @default top
+ *
+ * @param Width
+ * @type number
+ * @min 1
+ * @desc Width of a toast, in pixels.
+ * @default 600
+ *
+ * @help
+ * A toast is a one-line message shown over the current scene. Up to Max
+ * Toasts are stacked at once, each fading in, staying for its duration and
+ * fading out; the rest wait in a queue. Toasts are counted in frames of the
+ * running scene, so they pause with the game, and a toast that is still up
+ * when the scene changes carries on in the next one.
+ *
+ * The text may use the usual escape codes, such as \I[n] and \C[n].
+ *
+ * Plugin command:
+ *   Toast Quest updated: Find the Wolf   # Show the rest of the line
+ *
+ * Script calls:
+ *   ToastManager.show(text)                   # Show a toast
+ *   ToastManager.show(text, iconIndex)        # ...with an icon
+ *   ToastManager.show(text, iconIndex, 300)   # ...for 300 frames
+ *   ToastManager.showItem($dataItems[8], 2)   # "Wolf skin x2" with its icon
+ *   ToastManager.clear()                      # Remove every toast
+ *
+ * For example, an item pickup event can follow its Change Items command
+ * with ToastManager.showItem($dataItems[8], 1), and a quest event can use
+ * the plugin command "Toast \C[6]New quest:\C[0] Find the Wolf".
+ */
+
+function ToastManager() {
+    throw new Error('This is a static class');
+}
+
+function Window_Toast() {
+    this.initialize.apply(this, arguments);
+}
+
+(function() {
+    var parameters = PluginManager.parameters('toast_system');
+    function numberParameter(name, fallback) {
+        var value = parameters[name];
+        return value === undefined || value === '' ? fallback : Number(value);
+    }
+    var toastDuration = Math.max(numberParameter('Duration', 120), 1);
+    var fadeFrames = numberParameter('Fade Frames', 15);
+    var maxToasts = Math.max(numberParameter('Max Toasts', 3), 1);
+    var toastPosition = String(parameters['Position'] || 'top');
+    var toastWidth = numberParameter('Width', 600);
+
+    //=========================================================================
+    // ToastManager
+    //=========================================================================
+
+    ToastManager._queue = [];
+    ToastManager._toasts = [];
+
+    ToastManager.show = function(text, iconIndex, duration) {
+        this._queue.push({ text: String(text), iconIndex: iconIndex || 0, duration: duration || toastDuration, count: 0 });
+    };
+
+    ToastManager.showItem = function(item, amount) {
+        if (item) {
+            this.show(amount > 1 ? item.name + ' x' + amount : item.name, item.iconIndex);
+        }
+    };
+
+    ToastManager.clear = function() {
+        this._queue = [];
+        this._toasts = [];
+    };
+
+    // The toasts on screen, from the first shown to the last.
+    ToastManager.toasts = function() {
+        return this._toasts;
+    };
+
+    // Called once a frame by the running scene.
+    ToastManager.update = function() {
+        this._toasts.forEach(function(toast) {
+            toast.count++;
+        });
+        this._toasts = this._toasts.filter(function(toast) {
+            return toast.count < toast.duration;
+        });
+        while (this._toasts.length < maxToasts && this._queue.length > 0) {
+            this._toasts.push(this._queue.shift());
+        }
+    };
+
+    ToastManager.opacity = function(toast) {
+        var frames = Math.min(toast.count, toast.duration - toast.count);
+        if (fadeFrames > 0 && frames < fadeFrames) {
+            return Math.round(255 * frames / fadeFrames);
+        }
+        return 255;
+    };
+
+    //=========================================================================
+    // Window_Toast
+    //=========================================================================
+
+    Window_Toast.prototype = Object.create(Window_Base.prototype);
+    Window_Toast.prototype.constructor = Window_Toast;
+
+    // Slot 0 is nearest the screen edge; later slots stack away from it.
+    Window_Toast.prototype.initialize = function(slot) {
+        var width = Math.min(toastWidth, Graphics.boxWidth);
+        var height = this.fittingHeight(1);
+        var x = (Graphics.boxWidth - width) / 2;
+        var y = toastPosition === 'bottom' ? Graphics.boxHeight - height * (slot + 1) : height * slot;
+        Window_Base.prototype.initialize.call(this, x, y, width, height);
+        this._toast = null;
+        this.updateOpacity();
+    };
+
+    Window_Toast.prototype.setToast = function(toast) {
+        if (this._toast !== toast) {
+            this._toast = toast;
+            this.refresh();
+        }
+    };
+
+    Window_Toast.prototype.update = function() {
+        Window_Base.prototype.update.call(this);
+        this.updateOpacity();
+    };
+
+    Window_Toast.prototype.updateOpacity = function() {
+        var opacity = this._toast ? ToastManager.opacity(this._toast) : 0;
+        this.opacity = opacity;
+        this.backOpacity = Math.min(opacity, this.standardBackOpacity());
+        this.contentsOpacity = opacity;
+    };
+
+    Window_Toast.prototype.refresh = function() {
+        this.contents.clear();
+        if (this._toast) {
+            var x = this.textPadding();
+            if (this._toast.iconIndex > 0) {
+                this.drawIcon(this._toast.iconIndex, x, 2);
+                x += Window_Base._iconWidth + 4;
+            }
+            this.drawTextEx(this._toast.text, x, 0);
+        }
+    };
+
+    //=========================================================================
+    // Scenes
+    //=========================================================================
+
+    var _Scene_Base_update = Scene_Base.prototype.update;
+    Scene_Base.prototype.update = function() {
+        ToastManager.update();
+        this.updateToasts();
+        _Scene_Base_update.call(this);
+    };
+
+    // The toast windows are made the first time there is a toast, on top of
+    // everything else the scene has made by then.
+    Scene_Base.prototype.updateToasts = function() {
+        var toasts = ToastManager.toasts();
+        if (!this._toastWindows && toasts.length > 0) {
+            this.createToastWindows();
+        }
+        if (this._toastWindows) {
+            this._toastWindows.forEach(function(toastWindow, i) {
+                toastWindow.setToast(toasts[i] || null);
+            });
+        }
+    };
+
+    Scene_Base.prototype.createToastWindows = function() {
+        this._toastWindows = [];
+        for (var i = 0; i < maxToasts; i++) {
+            var toastWindow = new Window_Toast(i);
+            this._toastWindows.push(toastWindow);
+            this.addChild(toastWindow);
+        }
+    };
+
+    //=========================================================================
+    // Plugin command
+    //=========================================================================
+
+    var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+    Game_Interpreter.prototype.pluginCommand = function(command, args) {
+        _Game_Interpreter_pluginCommand.call(this, command, args);
+        if (command === 'Toast' && args.length > 0) {
+            ToastManager.show(args.join(' '));
+        }
+    };
+})();